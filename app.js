@@ -1,5 +1,24 @@
 // WalkPlayer — multi-screen PWA with playlist management
 
+import { readTags } from './id3.js';
+import { CHUNK_SEC, ChunkedTrack, indexFrames } from './chunks.js';
+import { EQ_BANDS, EQ_PRESETS, EQ_Q, EQ_RANGE, FLAT_EQ, bandLabel, bandType, eqPreamp, normalizeGains } from './eq.js';
+import { blockEnergies, integrate, measureLoudness, meanLoudness } from './loudness.js';
+import { timeStretch } from './stretch.js';
+import { BPM_WINDOW_SEC, CADENCE_MAX, CADENCE_MIN, CADENCE_WINDOW_MS, detectBpm, stepCadence, tapTempo, tempoDistance } from './tempo.js';
+import { BUILTIN_RULES, cleanTitles, compileRule } from './titles.js';
+import { duplicateKey, findDuplicates, fingerprint, pickKeeper } from './dupes.js';
+import { matchEntries, parsePlaylistFile, toBackup, toM3U8, toPLS } from './playlistio.js';
+import { SMART_FIELDS, SMART_OPS, SMART_PRESETS, defaultRule, evaluateSmart, isSmartId, opsFor, ruleError } from './smart.js';
+import { albumIndex, artistIndex } from './library.js';
+import { buildSearchIndex, findMatches } from './search.js';
+import { VirtualList } from './vlist.js';
+import {
+  addHistory, getAllAdded, getAllLoudness, getAllTempos, getCachedTags, getHistory, getPlaylists, newPlaylistId,
+  onStoreChange, patchPlaylist, putAdded, putCachedTags, putLoudness, putPlaylists, putTempo, removePlaylist,
+  tallyHistory,
+} from './store.js';
+
 // ── Gradients ──
 const TRACK_GRADIENTS = [
   ['#0f3460','#533483'], ['#1a2e4a','#0f3460'],
@@ -17,11 +36,27 @@ const PL_GRADIENTS = [
 ];
 
 // ── Song utils ──
-function parseSongMeta(filename) {
-  const name = filename.replace(/\.mp3$/i, '');
-  const dash = name.indexOf(' - ');
-  if (dash !== -1) return { artist: name.slice(0, dash).trim(), title: name.slice(dash + 3).trim() };
-  return { artist: '—', title: name };
+const RULES_KEY = 'walkplayer_title_rules';
+
+function loadTitleRules() {
+  try { return { disabled: [], userRules: [], ...JSON.parse(localStorage.getItem(RULES_KEY) || '{}') }; }
+  catch { return { disabled: [], userRules: [] }; }
+}
+function saveTitleRules(rules) { localStorage.setItem(RULES_KEY, JSON.stringify(rules)); }
+
+// Builds songs from { name, file } pairs. The cleanup rules run over the whole
+// set at once, since artist/title order is inferred library-wide.
+function songsFromFiles(entries, rules = loadTitleRules()) {
+  const meta = cleanTitles(entries.map(e => e.name), rules);
+  return entries.map((e, i) => ({
+    title: meta[i].title || e.name, artist: meta[i].artist, featuring: meta[i].featuring,
+    name: e.name, file: e.file,
+  }));
+}
+
+// Artist line for display, with featured artists split out of the title
+function songArtist(song) {
+  return song.featuring?.length ? `${song.artist} feat. ${song.featuring.join(', ')}` : song.artist;
 }
 
 async function scanSongsDir() {
@@ -30,13 +65,10 @@ async function scanSongsDir() {
     const res = await fetch('songs/index.json');
     if (res.ok) {
       const files = await res.json();
-      const songs = files
+      const entries = files
         .filter(f => f.toLowerCase().endsWith('.mp3'))
-        .map(filename => {
-          const { title, artist } = parseSongMeta(filename);
-          return { title, artist, file: `songs/${encodeURIComponent(filename)}` };
-        });
-      if (songs.length) return songs;
+        .map(name => ({ name, file: `songs/${encodeURIComponent(name)}` }));
+      if (entries.length) return songsFromFiles(entries);
     }
   } catch {}
 
@@ -46,18 +78,73 @@ async function scanSongsDir() {
     if (!res.ok) return null;
     const html = await res.text();
     const doc = new DOMParser().parseFromString(html, 'text/html');
-    const songs = [];
+    const entries = [];
     for (const a of doc.querySelectorAll('a[href]')) {
       const href = a.getAttribute('href');
       if (!href.toLowerCase().endsWith('.mp3')) continue;
-      const filename = decodeURIComponent(href.split('/').pop());
-      const { title, artist } = parseSongMeta(filename);
-      songs.push({ title, artist, file: `songs/${href.split('/').pop()}` });
+      const name = decodeURIComponent(href.split('/').pop());
+      entries.push({ name, file: `songs/${href.split('/').pop()}` });
     }
-    return songs.length ? songs : null;
+    return entries.length ? songsFromFiles(entries) : null;
   } catch { return null; }
 }
 
+// ── Tag cache ──
+const TAG_VERSION = 2; // bump to re-read every file after reader changes
+
+// Reads (or recalls) a song's ID3 tags and applies them over the filename guess.
+// A failed read (offline, a server error) isn't cached: the filename guess
+// stands for this session and the tags are tried again next time.
+async function loadSongTags(song) {
+  let rec = await getCachedTags(song.file).catch(() => null);
+  if (!rec || rec.v !== TAG_VERSION) {
+    const tags = await readTags(song.file);
+    rec = {
+      file: song.file, v: TAG_VERSION,
+      title: tags?.title || '', artist: tags?.artist || '', album: tags?.album || '',
+      track: tags?.track ?? null, year: tags?.year ?? null, duration: tags?.duration ?? null,
+      picture: tags?.picture ? new Blob([tags.picture.data], { type: tags.picture.mime }) : null,
+    };
+    await putCachedTags(rec).catch(() => {});
+  }
+  if (rec.title)  song.title  = rec.title;
+  if (rec.artist) song.artist = rec.artist;
+  song.album = rec.album; song.track = rec.track; song.year = rec.year; song.duration = rec.duration;
+  if (rec.picture && !song.art) { song.art = URL.createObjectURL(rec.picture); song.artType = rec.picture.type; }
+}
+
+// Runs `fn` over `items`, at most `limit` at a time
+async function mapLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => { while (next < items.length) await fn(items[next++]); };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+// Same, but hands back one promise per item at once, so results can be used
+// in order as they land
+function startLimit(items, limit, fn) {
+  const settle = items.map(() => ({}));
+  const promises = settle.map(s => new Promise((resolve, reject) => Object.assign(s, { resolve, reject })));
+  promises.forEach(p => p.catch(() => {}));
+  mapLimit(items.map((item, i) => [item, i]), limit, async ([item, i]) => {
+    try { settle[i].resolve(await fn(item)); } catch (e) { settle[i].reject(e); }
+  });
+  return promises;
+}
+
+async function enrichLibrary(songs) {
+  await mapLimit(songs, 4, song => loadSongTags(song).catch(() => {}));
+  refreshLibraryViews();
+}
+
+// Re-runs the cleanup rules over the scanned library, then re-applies tags on top
+async function relabelLibrary() {
+  const songs = allSongs.filter(s => s.name);
+  const meta = cleanTitles(songs.map(s => s.name), loadTitleRules());
+  songs.forEach((s, i) => { s.title = meta[i].title || s.name; s.artist = meta[i].artist; s.featuring = meta[i].featuring; });
+  await enrichLibrary(songs);
+}
+
 function buildSongs(count) {
   return Array.from({ length: count }, (_, i) => ({
     title: `Track ${i + 1}`, artist: '—',
@@ -65,37 +152,276 @@ function buildSongs(count) {
   }));
 }
 
+// ── Loudness ──
+// Every track is measured once, right after its first decode, and the result
+// kept in IndexedDB. Chunked tracks are measured chunk by chunk as they're
+// decoded; until all of them have been, the chunks so far stand in.
+const loudnessCache = new Map(); // file → { file, lufs, peak }
+const loudnessParts = new Map(); // file → Map(chunk → { blocks, peak }), chunked tracks still being measured
+
+async function loadLoudness() {
+  for (const rec of await getAllLoudness().catch(() => [])) loudnessCache.set(rec.file, rec);
+}
+
+function rememberLoudness(file, { lufs, peak }) {
+  const rec = { file, lufs, peak };
+  loudnessCache.set(file, rec);
+  putLoudness(rec).catch(() => {});
+}
+
+function partsLoudness(parts) {
+  const list = [...parts.values()];
+  return { lufs: integrate(...list.map(p => p.blocks)), peak: Math.max(...list.map(p => p.peak)) };
+}
+
+// Adds chunk k of a chunked track to its measurement, stored once every chunk is in
+function measureChunk(file, track, k, buf) {
+  if (loudnessCache.has(file)) return;
+  if (!loudnessParts.has(file)) loudnessParts.set(file, new Map());
+  const parts = loudnessParts.get(file);
+  if (parts.has(k)) return;
+  parts.set(k, blockEnergies(buf));
+  if (parts.size < track.chunkCount) return;
+  rememberLoudness(file, partsLoudness(parts));
+  loudnessParts.delete(file);
+}
+
+// { lufs, peak } of a file (provisional for a partly measured one), or null
+function trackLoudness(file) {
+  const parts = loudnessParts.get(file);
+  return loudnessCache.get(file) || (parts?.size ? partsLoudness(parts) : null);
+}
+
+// ── Tempo ──
+const tempoCache = new Map(); // file → { file, bpm, confidence }
+
+async function loadTempos() {
+  for (const rec of await getAllTempos().catch(() => [])) tempoCache.set(rec.file, rec);
+}
+
+function rememberTempo(file, found) {
+  const rec = { file, bpm: found?.bpm ?? null, confidence: found?.confidence ?? 0 };
+  tempoCache.set(file, rec);
+  putTempo(rec).catch(() => {});
+}
+
+// Measures a freshly loaded track unless it's known already. A chunked track
+// is measured as its chunks are decoded: loudness over all of them, tempo
+// from the first one. The passes over the samples are long, so they wait for
+// an idle moment rather than hold up the track they were decoded for.
+function analyzeTrack(file, track) {
+  if (!(track instanceof ChunkedTrack)) {
+    if (loudnessCache.has(file) && tempoCache.has(file)) return;
+    whenIdle(() => {
+      if (!tempoCache.has(file)) rememberTempo(file, detectBpm(track));
+      if (loudnessCache.has(file)) return;
+      rememberLoudness(file, measureLoudness(track));
+      relevel(file);
+    });
+    return;
+  }
+  track.onchunk = (k, buf) => whenIdle(() => {
+    if (!tempoCache.has(file)) rememberTempo(file, detectBpm(buf));
+    if (loudnessCache.has(file)) return;
+    measureChunk(file, track, k, buf);
+    relevel(file);
+  });
+}
+
+// A track measured after it was scheduled glides to its level
+function relevel(file) {
+  if (player.scheduled.some(seg => seg.song.file === file)) player.setNormalize(player.normalize);
+}
+
+// Runs `job` when the main thread is idle, one job per idle period, in order
+const idleJobs = [];
+
+function whenIdle(job) {
+  idleJobs.push(job);
+  if (idleJobs.length === 1) nextIdleJob();
+}
+
+function nextIdleJob() {
+  const run = () => {
+    try { idleJobs[0](); }
+    finally { idleJobs.shift(); if (idleJobs.length) nextIdleJob(); }
+  };
+  if (typeof requestIdleCallback === 'function') requestIdleCallback(run, { timeout: 2000 });
+  else setTimeout(run, 50);
+}
+
+// ── Play history ──
+// A track is logged as played once PLAY_COUNTS_SEC of it has played (half of
+// a shorter one), and as skipped when it's left with Next before that.
+// Per-file counts are kept in memory for the smart playlists.
+const PLAY_COUNTS_SEC = 30;
+const playStats = new Map(); // file → { file, plays, skips, lastPlayed }
+const addedAt = new Map();   // file → when it first turned up in the library (ms)
+
+function countHistory(rec) { playStats.set(rec.file, tallyHistory(playStats.get(rec.file), rec)); }
+
+async function loadHistory() {
+  const { totals, recs } = await getHistory().catch(() => ({ totals: [], recs: [] }));
+  playStats.clear();
+  for (const t of totals) playStats.set(t.file, t);
+  recs.forEach(countHistory);
+}
+
+// kind: 'play' | 'skip'
+function recordHistory(file, kind, playlistId, at = Date.now()) {
+  const rec = { file, at, kind, playlistId };
+  countHistory(rec);
+  addHistory(rec).catch(() => {});
+}
+
+// Stamps files new to the library with the time of this scan
+async function loadAdded(songs) {
+  for (const rec of await getAllAdded().catch(() => [])) addedAt.set(rec.file, rec.addedAt);
+  const now = Date.now();
+  const fresh = songs.filter(s => !addedAt.has(s.file)).map(s => ({ file: s.file, addedAt: now }));
+  fresh.forEach(rec => addedAt.set(rec.file, rec.addedAt));
+  if (fresh.length) await putAdded(fresh).catch(() => {});
+}
+
+function songFacts(song) {
+  const st = playStats.get(song.file);
+  return { plays: st?.plays ?? 0, skips: st?.skips ?? 0, lastPlayed: st?.lastPlayed ?? 0, addedAt: addedAt.get(song.file) ?? 0 };
+}
+
+// ── Smart playlists ──
+// The presets from smart.js, with the user's edits to their rule values and length
+const SMART_KEY = 'walkplayer_smart'; // { id: { rules, limit } }
+
+function loadSmartEdits() {
+  try { return JSON.parse(localStorage.getItem(SMART_KEY) || '{}'); } catch { return {}; }
+}
+
+function smartPlaylists() {
+  const edits = loadSmartEdits();
+  return SMART_PRESETS.map(def => ({ ...def, ...edits[def.id] }));
+}
+
+function smartPlaylist(id) { return smartPlaylists().find(def => def.id === id) || null; }
+
+function editSmartPlaylist(id, patch) {
+  const def = smartPlaylist(id);
+  if (!def) return;
+  const edits = loadSmartEdits();
+  edits[id] = { rules: def.rules, limit: def.limit, ...patch };
+  localStorage.setItem(SMART_KEY, JSON.stringify(edits));
+}
+
+function smartSongs(def) { return evaluateSmart(def, allSongs, songFacts, smartContext); }
+
+// Files in a playlist, for "is in playlist" rules. A smart playlist that
+// refers back to itself, however indirectly, sees that reference as empty.
+const resolving = new Set();
+function playlistMembers(id) {
+  if (resolving.has(id)) return new Set();
+  resolving.add(id);
+  try { return new Set((playlistContext(id)?.songs || []).map(s => s.file)); }
+  finally { resolving.delete(id); }
+}
+const smartContext = { members: playlistMembers };
+
+// ── Artists and albums ──
+// Groups worked out from the library's tags (see library.js), opened like
+// playlists under 'artist:<key>' and 'album:<key>' ids
+function isBrowseId(id) { return typeof id === 'string' && /^(artist|album):/.test(id); }
+
+function browseGroup(id) {
+  const key = id.slice(id.indexOf(':') + 1);
+  return (id.startsWith('artist:') ? artistIndex : albumIndex)(allSongs).find(g => g.key === key) || null;
+}
+
 // ── Playlist store ──
-const PL_KEY = 'walkplayer_playlists';
+// Playlists live in IndexedDB (store.js). Reads are served from this
+// in-memory copy, which is reloaded whenever another tab writes; local edits
+// land here at once and are persisted in the background.
+let playlistCache = [];
+
+async function reloadPlaylists() {
+  try { playlistCache = await getPlaylists(); }
+  catch (e) {
+    // No IndexedDB (e.g. blocked by the browser): show the old list read-only
+    setStatus(`Error: ${e.message}`);
+    try { playlistCache = JSON.parse(localStorage.getItem('walkplayer_playlists') || '[]'); } catch {}
+  }
+}
+
+function loadPlaylists() { return playlistCache; }
 
-function loadPlaylists() {
-  try { return JSON.parse(localStorage.getItem(PL_KEY) || '[]'); } catch { return []; }
+function persist(write) {
+  write.catch(e => setStatus(`Error: ${e.message}`));
 }
-function savePlaylists(pls) { localStorage.setItem(PL_KEY, JSON.stringify(pls)); }
 
-function createPlaylist(name, songFiles) {
-  const pl = { id: Date.now().toString(), name, songFiles, createdAt: Date.now() };
-  const all = loadPlaylists();
-  all.push(pl);
-  savePlaylists(all);
+// `smart` ({ match, rules, limit }, see smart.js) makes a playlist whose songs
+// are whatever its rules match; its songFiles stay empty
+function createPlaylist(name, songFiles, smart = null) {
+  const order = playlistCache.reduce((max, p) => Math.max(max, p.order ?? 0), -1) + 1;
+  const pl = { id: newPlaylistId(), name, songFiles, createdAt: Date.now(), order, ...(smart && { smart }) };
+  playlistCache = [...playlistCache, pl];
+  persist(putPlaylists([pl]));
   return pl;
 }
 
+function updatePlaylist(id, patch) {
+  playlistCache = playlistCache.map(p => p.id === id ? { ...p, ...patch } : p);
+  persist(patchPlaylist(id, patch));
+}
+
 function deletePlaylist(id) {
-  savePlaylists(loadPlaylists().filter(p => p.id !== id));
+  const wasOffline = playlistCache.find(p => p.id === id)?.offline;
+  playlistCache = playlistCache.filter(p => p.id !== id);
+  persist(removePlaylist(id));
+  if (wasOffline) evictUnpinned();
+}
+
+// Points playlist entries at other files (old → new); a playlist that ends up
+// listing the same file twice keeps the first. Returns how many playlists changed.
+function remapPlaylistFiles(map) {
+  let changed = 0;
+  for (const pl of loadPlaylists()) {
+    const files = [...new Set(pl.songFiles.map(f => map.get(f) ?? f))];
+    if (files.length === pl.songFiles.length && files.every((f, i) => f === pl.songFiles[i])) continue;
+    updatePlaylist(pl.id, { songFiles: files });
+    changed++;
+  }
+  return changed;
 }
 
 function getPlaylistSongs(pl) {
+  if (pl.smart) return smartSongs(pl.smart);
   return pl.songFiles
     .map(f => allSongs.find(s => s.file === f))
     .filter(Boolean);
 }
 
+// Track count shown for a user playlist: its entries, or what its rules match now
+function trackCount(pl) { return pl.smart ? getPlaylistSongs(pl).length : pl.songFiles.length; }
+
+// Songs and name for a playlist id ('__all__', presets, artists and albums
+// included), or null once it's gone
+function playlistContext(id) {
+  if (id === '__all__') return { songs: allSongs, name: 'All Songs' };
+  if (isSmartId(id)) {
+    const def = smartPlaylist(id);
+    return def ? { songs: smartSongs(def), name: def.name } : null;
+  }
+  if (isBrowseId(id)) {
+    const group = browseGroup(id);
+    return group ? { songs: group.songs, name: group.name } : null;
+  }
+  const pl = loadPlaylists().find(p => p.id === id);
+  return pl ? { songs: getPlaylistSongs(pl), name: pl.name } : null;
+}
+
 // ── State ──
 let allSongs = [];   // full scanned list — never mutated
 let SONGS    = [];   // currently active playlist songs
 
 let activePlaylistId = '__all__'; // which playlist detail is open
+let playingPlaylistId = '__all__'; // which playlist SONGS came from
 
 const $ = id => document.getElementById(id);
 
@@ -105,15 +431,24 @@ const ui = {
   albumArt: $('albumArt'),
   progressTrack: $('progressTrack'), progressBar: $('progressBar'), progressThumb: $('progressThumb'),
   timeCur: $('timeCur'), timeTot: $('timeTot'),
-  batchPos: $('batchPos'), batchTot: $('batchTot'),
+  batchPos: $('batchPos'), batchTot: $('batchTot'), batchHint: $('batchHint'),
   nextUpTrack: $('nextUpTrack'),
   statusLine: $('statusLine'),
 
   // Playback buttons
   btnPlay: $('btnPlay'), playIcon: $('playIcon'), playText: $('playText'),
   btnPrev: $('btnPrev'), btnNext: $('btnNext'),
+  btnShuffle: $('btnShuffle'), btnRepeat: $('btnRepeat'),
   btnSeekBack: $('btnSeekBack'), btnSeekFwd: $('btnSeekFwd'),
   batchCustom: $('batchCustom'),
+  crossfadeRange: $('crossfadeRange'), crossfadeVal: $('crossfadeVal'),
+  speedRange: $('speedRange'), speedVal: $('speedVal'), keepPitch: $('keepPitch'),
+  btnWalk: $('btnWalk'), btnTapTempo: $('btnTapTempo'), walkInfo: $('walkInfo'),
+  normInfo: $('normInfo'),
+  sleepSelect: $('sleepSelect'), sleepInfo: $('sleepInfo'),
+  planMinutes: $('planMinutes'), btnPlanWalk: $('btnPlanWalk'), planInfo: $('planInfo'),
+  eqPreset: $('eqPreset'), eqBands: $('eqBands'), eqHint: $('eqHint'), eqForPlaylist: $('eqForPlaylist'),
+  btnEqSave: $('btnEqSave'), btnEqDelete: $('btnEqDelete'),
   list: $('list'), playerListLabel: $('playerListLabel'),
 
   // Mini-player
@@ -126,19 +461,39 @@ const ui = {
   searchInput: $('searchInput'),
   searchPane: $('searchPane'), searchList: $('searchList'),
   browsePane: $('browsePane'), plGrid: $('plGrid'),
+  browseTabs: $('browseTabs'), browseList: $('browseList'),
 
   // Playlist detail
   detailTitle: $('detailTitle'), detailList: $('detailList'),
-  btnDeletePlaylist: $('btnDeletePlaylist'),
+  btnDeletePlaylist: $('btnDeletePlaylist'), btnEditPlaylist: $('btnEditPlaylist'),
+  btnExportPlaylist: $('btnExportPlaylist'), detailRuleBar: $('detailRuleBar'),
+  detailNameInput: $('detailNameInput'), detailEditBar: $('detailEditBar'),
+  detailOfflineBar: $('detailOfflineBar'), offlineInfo: $('offlineInfo'),
+  btnOffline: $('btnOffline'), btnOfflineRemove: $('btnOfflineRemove'),
+  pickerTitle: $('pickerTitle'), btnSavePlaylist: $('btnSavePlaylist'),
 
   // Player screen label
   playerPlaylistName: $('playerPlaylistName'),
 
+  // Queue
+  queueBatchList: $('queueBatchList'), queueList: $('queueList'),
+  queueLaterList: $('queueLaterList'), queueLaterLabel: $('queueLaterLabel'),
+  toast: $('toast'),
+
   // Modal
   modalNewPlaylist: $('modalNewPlaylist'),
   newPlaylistName: $('newPlaylistName'),
   pickerSearch: $('pickerSearch'), pickerList: $('pickerList'),
-  pickerCount: $('pickerCount'),
+  pickerCount: $('pickerCount'), pickerModes: $('pickerModes'),
+  smartEditor: $('smartEditor'), smartMatch: $('smartMatch'), smartRuleList: $('smartRuleList'), smartLimit: $('smartLimit'),
+  modalExport: $('modalExport'), exportList: $('exportList'), exportCount: $('exportCount'),
+  importReport: $('importReport'),
+  resumeCard: $('resumeCard'), resumeInfo: $('resumeInfo'),
+  dupeList: $('dupeList'), dupeStatus: $('dupeStatus'), dupeAudio: $('dupeAudio'),
+  modalTools: $('modalTools'), toolList: $('toolList'),
+  modalRules: $('modalRules'), ruleList: $('ruleList'),
+  rulePattern: $('rulePattern'), ruleReplace: $('ruleReplace'),
+  rulePreview: $('rulePreview'), rulePreviewLabel: $('rulePreviewLabel'),
 };
 
 function fmtTime(sec) {
@@ -146,12 +501,24 @@ function fmtTime(sec) {
   return `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, '0')}`;
 }
 function clamp01(x) { return Math.min(1, Math.max(0, x)); }
+// Gradient placeholder art, stable per track across playlists and the queue
+function trackGradient(song) {
+  const i = song ? Math.max(0, allSongs.indexOf(song)) : 0;
+  return TRACK_GRADIENTS[i % TRACK_GRADIENTS.length];
+}
+// Embedded cover art when the file has one, else the gradient placeholder
+function artBackground(song) {
+  if (song?.art) return `center / cover no-repeat url("${song.art}")`;
+  const [c1, c2] = trackGradient(song);
+  return `linear-gradient(135deg, ${c1}, ${c2})`;
+}
 function escapeHtml(s) {
   return String(s).replaceAll('&','&amp;').replaceAll('<','&lt;')
     .replaceAll('>','&gt;').replaceAll('"','&quot;').replaceAll("'",'&#039;');
 }
 
 // ── Navigation ──
+const NAV_KEY = 'walkplayer_nav';
 let navStack = ['screenHome'];
 
 function navigateTo(id) {
@@ -160,6 +527,7 @@ function navigateTo(id) {
   document.getElementById(curr).className = 'screen screen-left';
   document.getElementById(id).className   = 'screen screen-active';
   navStack.push(id);
+  saveNav();
   updateMiniPlayer();
 }
 
@@ -169,17 +537,65 @@ function navigateBack() {
   const prev = navStack[navStack.length - 1];
   document.getElementById(curr).className = 'screen screen-right';
   document.getElementById(prev).className = 'screen screen-active';
+  saveNav();
   updateMiniPlayer();
+  if (prev === 'screenHome') renderHome(); // smart playlist counts move as tracks play
+}
+
+function saveNav() {
+  try { localStorage.setItem(NAV_KEY, JSON.stringify({ stack: navStack, detailId: activePlaylistId })); } catch {}
 }
 
 // ── Audio Engine ──
+// Decoded PCM is 32-bit float, ~21 MB per stereo minute at 44.1 kHz, so the
+// buffer cache and the scheduled window share one byte budget (iOS Safari
+// kills pages well short of a batch of 20 whole tracks). That holds two or
+// three typical songs; when it keeps the window short of the batch size, the
+// settings and status line say so. Long tracks are decoded a chunk at a time.
+const MEMORY_BUDGET  = 160 * 1024 * 1024;
+const LONG_TRACK_SEC = 8 * 60;
+const PIECE_LEAD_SEC = 90; // audio a long track keeps scheduled past the playhead
+const LOAD_CONCURRENCY = 3; // tracks fetched + decoded at once while filling the window
+// Volume leveling: tracks are brought to TARGET_LUFS, and a limiter at the
+// end of the chain catches the peaks that pushes over LIMIT_DB
+const TARGET_LUFS     = -14;
+const MAX_BOOST_DB    = 12;
+const LIMIT_DB        = -1;
+const MAX_LIMITING_DB = 4;  // how far a boost may drive a track's peak into the limiter
+// Each segment keeps the speed it was scheduled at. Plain resampling shifts
+// pitch with it; with keepPitch, audio is time-stretched STRETCH_SEC at a
+// time instead, and neighbouring pieces overlap by STRETCH_XFADE. A decoded
+// track is stretched whole as soon as it's scheduled, tracks ahead of the
+// playhead, so locked-screen playback never waits on the main thread.
+const STRETCH_SEC   = 10;
+const STRETCH_XFADE = 0.015;
+const WALK_LOOKAHEAD = 12; // upcoming tracks walk mode picks from
+const SLEEP_FADE_SEC = 12;
+const SEEK_STEP_SEC  = 10;  // lock-screen skip when the system doesn't give one
+const PLAN_POOL      = 80;  // upcoming tracks the walk planner picks from
+const PLAN_SLACK     = 600; // seconds a plan may run over its target
+
 class BatchScheduledPlayer {
   constructor(songs) {
-    this.songs = songs; this.idx = 0;
+    this.songs = songs; this.idx = 0; this.playlistId = null;
+    this.shuffle = false; this.shuffleSeed = 0; this.repeat = 'all'; // 'off' | 'all' | 'one'
+    this.order = []; this.orderPos = new Map();
+    this.upNext = []; this.queueSeq = 0; // user queue: { id, song }, plays before the playlist resumes
     this.ctx = null; this.gain = null;
     this.isPlaying = false; this.isLoading = false;
     this.batchSize = 5; this.scheduled = [];
-    this.bufferCache = new Map(); this.cacheOrder = []; this.maxCached = 8;
+    this.crossfade = 0; // seconds of overlap between consecutive tracks (0–12)
+    this.generation = 0; this.isExtending = false;
+    this.bufferCache = new Map(); // url → AudioBuffer | ChunkedTrack, least recently used first
+    this.inflight = new Map();    // url → { signal, promise } while fetching + decoding
+    this.loads = new AbortController();
+    this.memoryBudget = MEMORY_BUDGET;
+    this.memoryCapped = false; // the budget, not the batch size, last limited the window
+    this.eqGains = FLAT_EQ.gains; this.eqNodes = []; this.preamp = null;
+    this.normalize = 'track'; // 'off' | 'track' | 'album'
+    this.rate = 1; this.keepPitch = true;
+    this.sleep = null; this.sleepArmed = null; // see setSleep()
+    this.limiter = null;
   }
 
   async ensureContext() {
@@ -188,69 +604,392 @@ class BatchScheduledPlayer {
     this.ctx = new AC({ latencyHint: 'playback' });
     this.gain = this.ctx.createGain();
     this.gain.gain.value = 1.0;
-    this.gain.connect(this.ctx.destination);
+    // gain → preamp (headroom for EQ boosts) → ten EQ bands → limiter → speakers
+    this.preamp = this.ctx.createGain();
+    this.eqNodes = EQ_BANDS.map((freq, i) => {
+      const band = this.ctx.createBiquadFilter();
+      band.type = bandType(i); band.frequency.value = freq; band.Q.value = EQ_Q;
+      return band;
+    });
+    this.limiter = this.ctx.createDynamicsCompressor();
+    this.limiter.threshold.value = LIMIT_DB; this.limiter.knee.value = 0; this.limiter.ratio.value = 20;
+    this.limiter.attack.value = 0.002; this.limiter.release.value = 0.2;
+    [this.gain, this.preamp, ...this.eqNodes, this.limiter, this.ctx.destination].reduce((from, to) => { from.connect(to); return to; });
+    this.applyEq();
     this.setupMediaSession();
   }
 
+  setEq(gains) { this.eqGains = gains; this.applyEq(); }
+
+  // Short glides rather than jumps, so dragging a band doesn't click
+  applyEq() {
+    if (!this.ctx) return;
+    const t = this.ctx.currentTime;
+    this.eqNodes.forEach((band, i) => band.gain.setTargetAtTime(this.eqGains[i], t, 0.03));
+    this.preamp.gain.setTargetAtTime(10 ** (eqPreamp(this.eqGains) / 20), t, 0.03);
+  }
+
+  // Gain (dB) that brings a segment or play entry to TARGET_LUFS. Album mode
+  // moves the whole playlist by one amount, so its quiet songs stay quieter
+  // than its loud ones; queued tracks from elsewhere are levelled on their own.
+  normDb(entry) {
+    if (this.normalize === 'off') return 0;
+    const own = trackLoudness(entry.song.file);
+    const album = this.normalize === 'album' && !entry.qitem
+      ? meanLoudness(this.songs.map(s => trackLoudness(s.file)?.lufs)) : null;
+    const level = album ?? own?.lufs;
+    if (level == null) return 0;
+    let db = Math.min(TARGET_LUFS - level, MAX_BOOST_DB);
+    if (own?.peak > 0) db = Math.min(db, LIMIT_DB + MAX_LIMITING_DB - 20 * Math.log10(own.peak));
+    return db;
+  }
+
+  // Re-levels everything scheduled, the audible segment included, with a short glide
+  setNormalize(mode) {
+    this.normalize = mode;
+    if (!this.ctx) return;
+    for (const seg of this.scheduled) {
+      seg.normDb = this.normDb(seg);
+      seg.norm.gain.setTargetAtTime(10 ** (seg.normDb / 20), this.ctx.currentTime, 0.1);
+    }
+  }
+
+  // A new speed takes over at once: the current track restarts where it is,
+  // and everything after it is laid out again.
+  async setRate(rate, keepPitch = this.keepPitch) {
+    const changed = rate !== this.rate || keepPitch !== this.keepPitch;
+    this.rate = rate; this.keepPitch = keepPitch;
+    if (changed && this.ctx && this.scheduled.length && !this.isLoading) await this.seekTo(this.getProgress().pos);
+  }
+
   setBatchSize(v) { this.batchSize = v; }
 
+  setSongs(songs, playlistId = this.playlistId) { this.songs = songs; this.playlistId = playlistId; this.buildOrder(); }
+
+  // Swaps in an edited version of the playing playlist without touching what's
+  // audible. Started segments are re-pointed at their song's new index (a
+  // removed song plays out and the order carries on from the nearest track
+  // before it); everything not yet started is rescheduled in the new order.
+  updateSongs(songs) {
+    const old = this.songs;
+    const at = new Map(songs.map((s, i) => [s.file, i]));
+    const remap = i => {
+      for (let j = i; j >= 0; j--) { const n = at.get(old[j]?.file); if (n !== undefined) return n; }
+      return -1;
+    };
+    for (const seg of this.scheduled) {
+      if (seg.index >= 0) seg.index = at.get(old[seg.index]?.file) ?? -1;
+      seg.ctxIndex = remap(seg.ctxIndex);
+    }
+    this.idx = Math.max(0, remap(this.idx));
+    this.setSongs(songs);
+    this.rescheduleUpcoming();
+    this.checkpoint();
+  }
+
+  setModes({ shuffle = false, seed = 0, repeat = 'all' }) {
+    this.shuffle = shuffle; this.shuffleSeed = seed; this.repeat = repeat;
+    this.buildOrder();
+  }
+
+  // One cycle of the play order. Shuffle ranks each track by a seeded hash of
+  // its file, so the permutation stays stable when tracks are added or removed.
+  buildOrder() {
+    const order = this.songs.map((_, i) => i);
+    if (this.shuffle) {
+      const rank = this.songs.map(s => seededRank(this.shuffleSeed, s.file));
+      order.sort((a, b) => rank[a] - rank[b] || a - b);
+    }
+    this.order = order;
+    this.orderPos = new Map(order.map((idx, pos) => [idx, pos]));
+  }
+  setCrossfade(sec) { this.crossfade = Math.max(0, Math.min(12, sec)); }
+
   async play() {
     await this.ensureContext();
     if (this.ctx.state === 'suspended') await this.ctx.resume();
     if (!this.scheduled.length) { await this.rebuildBatchFrom(this.idx, { autostart: true }); return; }
     this.isPlaying = true; this.setPlaybackState('playing');
+    this.updatePositionState();
+    this.checkpoint();
   }
   async pause() {
     if (!this.ctx) return;
     if (this.ctx.state === 'running') await this.ctx.suspend();
     this.isPlaying = false; this.setPlaybackState('paused');
+    this.updatePositionState();
+    this.checkpoint();
   }
   async toggle() {
     if (!this.ctx || this.ctx.state !== 'running' || !this.isPlaying) await this.play();
     else await this.pause();
   }
   async next() {
-    this.idx = (this.idx + 1) % this.songs.length;
-    await this.rebuildBatchFrom(this.idx, { autostart: this.isPlaying || this.ctx?.state === 'running' });
+    const cur = this.getCurrent();
+    this.logPlays();
+    // Left before it counted as a play
+    if (cur && !cur.logged) { cur.logged = true; recordHistory(cur.song.file, 'skip', this.playlistId); }
+    this.releaseUpcoming();
+    const [nxt] = this.upcoming(cur ? this.segEntry(cur) : this.entryAt(this.idx), 1, { manual: true });
+    if (!nxt) { setStatus('End of playlist.'); this.extendBatch(); return; }
+    await this.rebuildBatchFrom(nxt, { autostart: this.isPlaying || this.ctx?.state === 'running' });
   }
   async prev() {
     const cur = this.getCurrent();
-    if (cur && this.ctx.currentTime - cur.startTime > 3) { await this.rebuildBatchFrom(cur.index, { autostart: true }); return; }
-    this.idx = (this.idx - 1 + this.songs.length) % this.songs.length;
-    await this.rebuildBatchFrom(this.idx, { autostart: this.isPlaying || this.ctx?.state === 'running' });
+    if (cur && this.ctx.currentTime - cur.startTime > 3) { await this.rebuildBatchFrom(this.segEntry(cur), { autostart: true }); return; }
+    let target;
+    if (cur?.qitem) target = cur.ctxIndex >= 0 ? this.entryAt(cur.ctxIndex) : this.segEntry(cur);
+    else {
+      const from = cur?.index ?? this.idx;
+      const idx = this.prevIndexBefore(from);
+      target = this.entryAt(idx === -1 ? from : idx);
+    }
+    await this.rebuildBatchFrom(target, { autostart: this.isPlaying || this.ctx?.state === 'running' });
+  }
+
+  // ── Play entries ──
+  // An entry is one track in the upcoming order. Playlist entries carry their
+  // index into `songs`; queued entries carry their queue item and index -1.
+  // Both record `ctxIndex`, the playlist position playback resumes after.
+  entryAt(index) { return { index, song: this.songs[index], ctxIndex: index, qitem: null }; }
+  segEntry(seg)  { return { index: seg.index, song: seg.song, ctxIndex: seg.ctxIndex, qitem: seg.qitem }; }
+
+  // Walks the order after `entry` without consuming anything: queued tracks
+  // first, then the playlist's play order.
+  upcoming(entry, count, { manual = false } = {}) {
+    const out = [];
+    let q = 0, cur = entry;
+    while (out.length < count) {
+      let nxt = null;
+      if (this.repeat === 'one' && !manual) nxt = { ...cur };
+      else if (q < this.upNext.length) {
+        const qitem = this.upNext[q++];
+        nxt = { index: -1, song: qitem.song, ctxIndex: cur.ctxIndex, qitem };
+      } else {
+        const idx = this.nextIndexAfter(cur.ctxIndex, { manual: true });
+        if (idx !== -1) nxt = this.entryAt(idx);
+      }
+      if (!nxt) break;
+      out.push(nxt); cur = nxt; manual = false;
+    }
+    return out;
+  }
+
+  // What plays after the current track: the rest of the batch, then the order beyond it
+  upcomingAfterCurrent(count) {
+    const cur = this.getCurrent();
+    if (!cur) return this.upcoming(this.entryAt(this.idx), count);
+    const ahead = this.scheduled.slice(this.scheduled.indexOf(cur) + 1).map(s => this.segEntry(s));
+    const last = ahead.length ? ahead[ahead.length - 1] : this.segEntry(cur);
+    return [...ahead, ...this.upcoming(last, Math.max(0, count - ahead.length))].slice(0, count);
+  }
+
+  // Removes a queued entry from the queue once it's been scheduled
+  consume(entry) {
+    const i = entry.qitem ? this.upNext.indexOf(entry.qitem) : -1;
+    if (i !== -1) this.upNext.splice(i, 1);
+  }
+
+  // ── Queue ──
+  // Queued tracks that haven't started yet, whether already scheduled or not
+  pendingQueue() {
+    const now = this.ctx?.currentTime ?? 0;
+    const scheduled = this.scheduled.filter(s => s.qitem && s.startTime > now).map(s => s.qitem);
+    return [...new Set([...scheduled, ...this.upNext])];
+  }
+
+  // Every edit releases the not-yet-started part of the batch so the queue
+  // holds everything pending, applies the change, then refills the window.
+  editQueue(edit) {
+    this.releaseUpcoming();
+    edit(this.upNext);
+    this.extendBatch();
+    this.checkpoint();
+  }
+  playNext(song)   { this.editQueue(q => q.unshift({ id: ++this.queueSeq, song })); }
+  addToQueue(song) { this.editQueue(q => q.push({ id: ++this.queueSeq, song })); }
+  removeQueued(id) { this.editQueue(q => { const i = q.findIndex(x => x.id === id); if (i !== -1) q.splice(i, 1); }); }
+  moveQueued(from, to) { this.editQueue(q => { const [item] = q.splice(from, 1); if (item) q.splice(to, 0, item); }); }
+
+  // Drops every segment that hasn't started yet and refills the window in the
+  // current play order. Whatever is audible right now keeps playing untouched.
+  rescheduleUpcoming() {
+    if (this.isLoading) return;
+    this.releaseUpcoming();
+    this.extendBatch();
+  }
+
+  releaseUpcoming() {
+    if (!this.ctx || this.isLoading || !this.scheduled.length) return;
+    const now = this.ctx.currentTime;
+    const keepCount = Math.max(1, this.scheduled.filter(s => s.startTime <= now).length);
+    const dropped = this.scheduled.splice(keepCount);
+    if (!dropped.length) return;
+    this.generation++;
+    this.disposeSegments(dropped);
+    const last = this.scheduled[this.scheduled.length - 1];
+    if (last.fadeOut) {
+      last.gain.gain.cancelScheduledValues(last.endTime - last.fadeOut);
+      last.gain.gain.setValueAtTime(1, Math.max(now, last.endTime - last.fadeOut));
+      last.fadeOut = 0;
+    }
   }
 
   stopAllScheduled() {
-    for (const s of this.scheduled) { try { s.source.stop(0); } catch {} try { s.source.disconnect(); } catch {} }
+    this.generation++;
+    if (this.scheduled.length) this.disposeSegments(this.scheduled);
     this.scheduled = [];
   }
 
-  async rebuildBatchFrom(startIndex, { autostart }) {
-    await this.ensureContext();
-    this.isLoading = true;
-    setStatus('Loading + decoding batch…');
-    this.stopAllScheduled();
+  // Stops segments; queued tracks among the ones that never started go back
+  // to the front of the queue so nothing the user queued is lost.
+  disposeSegments(segs) {
+    this.logPlays();
+    const now = this.ctx.currentTime;
+    const requeue = new Set(segs.filter(s => s.qitem && s.startTime > now).map(s => s.qitem));
+    for (const s of segs) releaseSegment(s);
+    this.upNext.unshift(...[...requeue].filter(q => !this.upNext.includes(q)));
+    this.scheduled = this.scheduled.filter(s => !segs.includes(s));
+    this.armSleep();
+  }
+
+  // Overlap between two joined segments: never more than half of either one,
+  // so a segment's fade-in and fade-out can't collide on its gain timeline.
+  fadeLength(prevSeg, nextDur) {
+    return Math.min(this.crossfade, (prevSeg.endTime - prevSeg.startTime) / 2, nextDur / 2);
+  }
 
-    const batchCount = Math.min(this.batchSize, this.songs.length);
-    const buffers = [];
-    for (let i = 0; i < batchCount; i++) {
-      const idx = (startIndex + i) % this.songs.length;
-      const buf = await this.loadDecodedBuffer(this.songs[idx].file);
-      buffers.push({ index: idx, buffer: buf });
+  // Schedules one segment through its own leveling and fade gain nodes,
+  // overlapping the tail of the previous segment by the crossfade length
+  // (equal-power curves). Segment times are audio-clock seconds; `duration`
+  // and `startOffset` are track time, which runs `rate` times as fast.
+  // `track` is an AudioBuffer or a ChunkedTrack (see loadTrack).
+  scheduleSegment(entry, track, at, offset = 0) {
+    const prevSeg = this.scheduled[this.scheduled.length - 1];
+    const rate = this.rate;
+    const remaining = (track.duration - offset) / rate;
+    const earliest = this.ctx.currentTime + 0.05;
+    let fade = prevSeg ? this.fadeLength(prevSeg, remaining) : 0;
+    if (prevSeg && prevSeg.endTime - fade < earliest) fade = 0; // appended late: nothing left to blend
+    const startTime = prevSeg ? Math.max(prevSeg.endTime - fade, earliest) : at;
+
+    const gain = this.ctx.createGain();
+    gain.connect(this.gain);
+    // Leveling gets a node of its own, so the fade curves stay within 0–1
+    const normDb = this.normDb(entry);
+    const norm = this.ctx.createGain();
+    norm.gain.value = 10 ** (normDb / 20);
+    norm.connect(gain);
+    if (fade > 0) {
+      gain.gain.setValueCurveAtTime(fadeCurve(true), startTime, fade);
+      prevSeg.gain.gain.setValueCurveAtTime(fadeCurve(false), prevSeg.endTime - fade, fade);
+      prevSeg.fadeOut = fade;
     }
 
-    const startAt = this.ctx.currentTime + 0.18;
-    let t = startAt;
-    for (const item of buffers) {
+    this.consume(entry);
+    const seg = {
+      index: entry.index, song: entry.song, ctxIndex: entry.ctxIndex, qitem: entry.qitem,
+      track, sources: [], gain, norm, normDb,
+      startTime, endTime: startTime + remaining, duration: track.duration, startOffset: offset,
+      rate, stretch: this.keepPitch && rate !== 1,
+      fadeIn: fade, fadeOut: 0,
+    };
+    this.scheduled.push(seg);
+    this.armSleep();
+
+    if (track instanceof ChunkedTrack || seg.stretch) {
+      seg.nextPiece = pieceAt(seg, offset);
+      this.fillPieces(seg);
+    } else {
       const src = this.ctx.createBufferSource();
-      src.buffer = item.buffer; src.connect(this.gain); src.start(t);
-      const dur = item.buffer.duration;
-      this.scheduled.push({ index: item.index, source: src, startTime: t, endTime: t + dur, duration: dur, startOffset: 0 });
-      t += dur;
+      src.buffer = track; src.playbackRate.value = rate; src.connect(norm);
+      src.start(startTime, offset);
+      src.onended = () => { if (this.scheduled.includes(seg)) this.extendBatch(); };
+      seg.sources.push(src);
+    }
+    return seg;
+  }
+
+  // Schedules a segment's pieces in order: all of them for a decoded track,
+  // and for a long one until they reach PIECE_LEAD_SEC past the playhead, or
+  // past the segment's start for one still to come. Every piece that ends
+  // tops them up again, so a late `ended` event (timers and events run slow
+  // with the screen locked) has a minute or more in hand.
+  async fillPieces(seg) {
+    if (seg.filling) return;
+    seg.filling = true;
+    const lead = seg.track instanceof ChunkedTrack ? PIECE_LEAD_SEC : Infinity;
+    try {
+      while (seg.nextPiece < pieceCount(seg) && this.scheduled.includes(seg)) {
+        const when = seg.startTime + (pieceStart(seg, seg.nextPiece) - seg.startOffset) / seg.rate;
+        if (when - Math.max(this.ctx.currentTime, seg.startTime) > lead) break;
+        await this.schedulePiece(seg, seg.nextPiece++);
+        // Stretching is heavy: let the page breathe between pieces
+        if (seg.stretch) await new Promise(resolve => setTimeout(resolve));
+      }
+    } finally { seg.filling = false; }
+  }
+
+  // Plays piece k of a segment (see pieceCount) so that it ends exactly where
+  // piece k + 1 begins. A piece decoded too late joins in progress.
+  async schedulePiece(seg, k) {
+    let parts;
+    try { parts = await pieceAudio(seg, k); }
+    catch (e) { setStatus(`Error: ${e.message}`); return; }
+    if (!this.scheduled.includes(seg)) return;
+
+    const pieceEnd = pieceStart(seg, k + 1);
+    let from = Math.max(pieceStart(seg, k), parts[0].start, seg.startOffset);
+    let when = seg.startTime + (from - seg.startOffset) / seg.rate;
+    const now = this.ctx.currentTime;
+    if (when < now) { from += (now - when) * seg.rate; when = now; }
+    if (from >= pieceEnd) return;
+
+    const src = this.ctx.createBufferSource();
+    if (seg.stretch) {
+      src.buffer = stretchPiece(this.ctx, parts, from, pieceEnd, seg.rate);
+      src.start(when);
+    } else {
+      src.buffer = parts[0].buf; src.playbackRate.value = seg.rate;
+      src.start(when, from - parts[0].start);
+    }
+    src.connect(seg.norm);
+    seg.sources.push(src);
+    src.onended = () => {
+      seg.sources = seg.sources.filter(s => s !== src);
+      if (!this.scheduled.includes(seg)) return;
+      if (k + 1 >= pieceCount(seg)) this.extendBatch();
+      else this.fillPieces(seg);
+    };
+  }
+
+  // `start` is a playlist index or a play entry (e.g. a queued track). The
+  // first track is scheduled as soon as it's decoded; extendBatch() fills the
+  // rest of the window, with the next few already loading alongside it.
+  async rebuildBatchFrom(start, { autostart }) {
+    await this.ensureContext();
+    const signal = this.abortLoads();
+    this.isLoading = true;
+    setStatus('Loading + decoding…');
+    this.stopAllScheduled();
+
+    const first = typeof start === 'number' ? this.entryAt(start) : start;
+    this.consume(first);
+    const ahead = this.withinBudget(this.upcoming(first, this.windowSize() - 1), 1);
+    for (const entry of ahead.slice(0, LOAD_CONCURRENCY - 1)) this.loadTrack(entry.song.file, 0, signal).catch(() => {});
+
+    let buf;
+    try { buf = await this.loadTrack(first.song.file, 0, signal); }
+    catch (e) {
+      if (signal.aborted) return;
+      this.isLoading = false;
+      throw e;
     }
+    if (signal.aborted) return; // another song was tapped meanwhile
 
-    this.idx = startIndex; this.isLoading = false;
-    setStatus(`Scheduled ${this.scheduled.length} track(s).`);
+    this.scheduleSegment(first, buf, this.ctx.currentTime + 0.18);
+    if (first.ctxIndex >= 0) this.idx = first.ctxIndex;
+    this.isLoading = false;
 
     if (autostart) {
       if (this.ctx.state === 'suspended') await this.ctx.resume();
@@ -258,41 +997,288 @@ class BatchScheduledPlayer {
     } else {
       this.isPlaying = false; this.setPlaybackState('paused');
     }
-    this.updateNowPlayingMetadata(startIndex);
+    this.updateNowPlayingMetadata(first.song);
     scheduleMetadataUpdates();
+    this.checkpoint();
+
+    await this.extendBatch();
+    if (!signal.aborted) setStatus(`Scheduled ${this.windowLabel()} · ${this.memoryLabel()}.`);
   }
 
-  async seekTo(positionSeconds) {
+  // Seeks within the current track, or starts `from` (a play entry) at that position
+  async seekTo(positionSeconds, from = null) {
     await this.ensureContext();
     if (this.isLoading) return;
     const cur = this.getCurrent();
-    const songIdx = cur ? cur.index : this.idx;
-    const buf = await this.loadDecodedBuffer(this.songs[songIdx].file);
+    const entry = from ?? (cur ? this.segEntry(cur) : this.entryAt(this.idx));
+    const buf = await this.loadTrack(entry.song.file, positionSeconds);
     const trackDur = buf.duration;
     const offset = Math.max(0, Math.min(positionSeconds, trackDur - 0.05));
     this.stopAllScheduled();
 
     const startAt = this.ctx.currentTime + 0.05;
-    let t = startAt;
-    const src0 = this.ctx.createBufferSource();
-    src0.buffer = buf; src0.connect(this.gain); src0.start(startAt, offset);
-    const remaining = trackDur - offset;
-    this.scheduled.push({ index: songIdx, source: src0, startTime: startAt, endTime: startAt + remaining, duration: trackDur, startOffset: offset });
-    t += remaining;
-
-    const slots = Math.min(this.batchSize - 1, this.songs.length - 1);
-    for (let i = 1; i <= slots; i++) {
-      const nextIdx = (songIdx + i) % this.songs.length;
-      const nb = await this.loadDecodedBuffer(this.songs[nextIdx].file);
-      const ns = this.ctx.createBufferSource();
-      ns.buffer = nb; ns.connect(this.gain); ns.start(t);
-      this.scheduled.push({ index: nextIdx, source: ns, startTime: t, endTime: t + nb.duration, duration: nb.duration, startOffset: 0 });
-      t += nb.duration;
-    }
-    this.idx = songIdx;
+    this.scheduleSegment(entry, buf, startAt, offset);
+    // Seeking within a track doesn't make it another play
+    this.scheduled[0].logged = !!cur?.logged && sameEntry(cur, entry);
+    if (entry.ctxIndex >= 0) this.idx = entry.ctxIndex;
     if (this.isPlaying && this.ctx.state === 'suspended') await this.ctx.resume();
-    this.updateNowPlayingMetadata(songIdx);
+    this.updateNowPlayingMetadata(entry.song);
     scheduleMetadataUpdates();
+    this.checkpoint();
+    await this.extendBatch();
+  }
+
+  // Index of the track that plays after `idx` in the play order, or -1 when
+  // playback should stop. Repeat-one only holds for automatic advances.
+  nextIndexAfter(idx, { manual = false } = {}) {
+    if (!this.songs.length) return -1;
+    if (this.repeat === 'one' && !manual) return idx;
+    const pos = this.orderPos.get(idx) ?? -1;
+    if (pos + 1 < this.order.length) return this.order[pos + 1];
+    return this.repeat === 'off' ? -1 : this.order[0];
+  }
+
+  prevIndexBefore(idx) {
+    if (!this.songs.length) return -1;
+    const pos = this.orderPos.get(idx) ?? 0;
+    if (pos > 0) return this.order[pos - 1];
+    return this.repeat === 'off' ? -1 : this.order[this.order.length - 1];
+  }
+
+  // ── Walk mode ──
+  // Order position just after the current track
+  lookaheadFrom() {
+    const cur = this.getCurrent();
+    return (this.orderPos.get(cur ? cur.ctxIndex : this.idx) ?? -1) + 1;
+  }
+
+  // Playlist indexes of the next WALK_LOOKAHEAD tracks in the order (this cycle only)
+  lookahead() {
+    const from = this.lookaheadFrom();
+    return this.order.slice(from, from + WALK_LOOKAHEAD);
+  }
+
+  // Re-sorts the lookahead so tracks whose tempo (or half or double of it)
+  // is closest to `spm` come first, unknown tempos last, then lays out the
+  // rest of the batch again. Returns whether anything moved.
+  matchCadence(spm) {
+    const span = this.lookahead();
+    const dist = span.map(idx => tempoDistance(tempoCache.get(this.songs[idx].file)?.bpm, spm));
+    const sorted = span.map((idx, i) => [idx, dist[i]]).sort((a, b) => (a[1] - b[1]) || 0).map(([idx]) => idx);
+    if (!this.promote(this.lookaheadFrom(), sorted)) return false;
+    this.rescheduleUpcoming();
+    return true;
+  }
+
+  // Moves playlist indexes `picked` (all at order position `from` or later)
+  // to `from`, in the given order; the rest keep their relative order.
+  // Returns whether anything moved.
+  promote(from, picked) {
+    const set = new Set(picked);
+    const next = [...this.order.slice(0, from), ...picked, ...this.order.slice(from).filter(idx => !set.has(idx))];
+    if (next.every((idx, i) => idx === this.order[i])) return false;
+    this.order = next;
+    this.orderPos = new Map(next.map((idx, pos) => [idx, pos]));
+    return true;
+  }
+
+  // ── Walk planner ──
+  // Upcoming playlist tracks, in play order, whose lengths add up closest to
+  // `sec` at the current speed and crossfade. The track playing carries on:
+  // the time left in it comes off the target and the picks start after it,
+  // from where the playlist resumes when it's a queued one. Queued tracks
+  // play in between regardless, so their time comes off the target too.
+  // Returns { entries, total }, the track playing first among the entries.
+  planWalk(sec) {
+    const cur = this.getCurrent();
+    const len = song => Math.max(1, song.duration / this.rate - this.crossfade);
+    let playing = null, left = 0;
+    if (cur) {
+      const p = this.getProgress();
+      playing = this.segEntry(cur);
+      left = Math.max(0, (p.dur - p.pos) / cur.rate - this.crossfade);
+    }
+    const firstIdx = cur ? this.nextIndexAfter(cur.ctxIndex, { manual: true }) : this.idx;
+    const first = firstIdx >= 0 ? this.entryAt(firstIdx) : null;
+    const from = first ? this.orderPos.get(first.index) ?? 0 : 0;
+    const queued = this.upNext.reduce((a, q) => a + (q.song.duration > 0 ? len(q.song) : 0), 0);
+    const seen = new Set();
+    const items = !first ? [] : [first, ...this.upcoming(first, PLAN_POOL + this.upNext.length)].filter(e => {
+      if (e.qitem || seen.has(e.index) || (this.orderPos.get(e.index) ?? -1) < from || !(e.song.duration > 0)) return false;
+      seen.add(e.index);
+      return true;
+    });
+
+    // 0/1 subset sum in whole seconds; earlier tracks claim each total first
+    const target = Math.max(0, Math.round(sec - queued - left));
+    const size = target + PLAN_SLACK;
+    const by = new Int32Array(size + 1).fill(-1); // item that first reached each total
+    const prev = new Int32Array(size + 1);
+    by[0] = items.length;
+    items.forEach((e, i) => {
+      const d = Math.round(len(e.song));
+      for (let t = size - d; t >= 0; t--) if (by[t] !== -1 && by[t + d] === -1) { by[t + d] = i; prev[t + d] = t; }
+    });
+    let best = 0;
+    for (let t = 1; t <= size; t++) if (by[t] !== -1 && Math.abs(t - target) < Math.abs(best - target)) best = t;
+    const picked = [];
+    for (let t = best; t > 0; t = prev[t]) picked.unshift(items[by[t]]);
+    const entries = playing ? [playing, ...picked] : picked;
+    return { entries, total: best + queued + left + (entries.length ? this.crossfade : 0) };
+  }
+
+  // Plays a plan from planWalk(): its tracks move up to play next in a row,
+  // and the sleep timer stops playback after the last of them. The track
+  // playing, when the plan starts with it, plays on.
+  async startWalk(plan) {
+    const last = plan.entries[plan.entries.length - 1];
+    if (!last) return;
+    const cur = this.getCurrent();
+    if (cur && sameEntry(cur, plan.entries[0])) {
+      const picked = plan.entries.slice(1).map(e => e.index);
+      if (picked.length) this.promote(this.orderPos.get(this.nextIndexAfter(cur.ctxIndex, { manual: true })), picked);
+      this.setSleep({ mode: 'entry', entry: last });
+      this.rescheduleUpcoming();
+      return;
+    }
+    const picked = plan.entries.map(e => e.index);
+    this.promote(this.orderPos.get(picked[0]), picked);
+    this.setSleep({ mode: 'entry', entry: last });
+    await this.rebuildBatchFrom(plan.entries[0], { autostart: true });
+  }
+
+  // ── Sleep timer ──
+  // `sleep` is { mode: 'minutes', at } (audio time), { mode: 'track', seg }
+  // or { mode: 'entry', entry }: stop after that entry, and schedule nothing
+  // past it. Both the fade and the pause run off the audio clock, so they
+  // happen with the screen locked; a paused player pauses the countdown too.
+  setSleep(sleep) {
+    this.disarmSleep();
+    this.sleep = sleep;
+    this.armSleep();
+  }
+
+  // Audio time the timer runs out, or null while that isn't known yet
+  sleepEnd() {
+    const s = this.sleep;
+    if (!s || !this.ctx) return null;
+    if (s.mode === 'minutes') return s.at;
+    if (s.mode === 'track') {
+      // Skipped or seeked away from before it ended: the track now playing counts instead
+      if (!this.scheduled.includes(s.seg) && !(s.seg?.endTime <= this.ctx.currentTime)) s.seg = this.getCurrent();
+      return s.seg?.endTime ?? null;
+    }
+    return this.scheduled.find(seg => sameEntry(seg, s.entry))?.endTime ?? null;
+  }
+
+  isSleepAnchor(entry) { return this.sleep?.mode === 'entry' && sameEntry(entry, this.sleep.entry); }
+
+  // Lines up the fade and the pause for sleepEnd(); a no-op while that's unchanged
+  armSleep() {
+    const end = this.sleepEnd();
+    if (end === (this.sleepArmed?.end ?? null)) return;
+    this.disarmSleep();
+    if (end == null) return;
+    const now = this.ctx.currentTime;
+    const g = this.gain.gain;
+    g.setValueAtTime(1, Math.max(now, end - SLEEP_FADE_SEC));
+    g.linearRampToValueAtTime(0, Math.max(now, end));
+    // A silent source whose `ended` event wakes the page to pause
+    const marker = this.ctx.createConstantSource();
+    marker.offset.value = 0;
+    marker.connect(this.ctx.destination);
+    marker.start(now); marker.stop(Math.max(now, end));
+    marker.onended = () => { if (this.sleepArmed?.marker === marker) this.sleepDone(); };
+    this.sleepArmed = { end, marker };
+  }
+
+  disarmSleep() {
+    const armed = this.sleepArmed;
+    this.sleepArmed = null;
+    if (!armed) return;
+    armed.marker.onended = null;
+    try { armed.marker.stop(0); } catch {}
+    try { armed.marker.disconnect(); } catch {}
+    const g = this.gain.gain, now = this.ctx.currentTime;
+    if (g.cancelAndHoldAtTime) g.cancelAndHoldAtTime(now); else g.cancelScheduledValues(now);
+    g.setTargetAtTime(1, now, 0.05);
+  }
+
+  async sleepDone() {
+    this.sleep = null; this.sleepArmed = null;
+    await this.pause();
+    // Back to full volume for whenever playback resumes, with the window refilled past the stop
+    const g = this.gain.gain;
+    g.cancelScheduledValues(0);
+    g.setValueAtTime(1, this.ctx.currentTime);
+    await this.extendBatch();
+    setStatus('Sleep timer: paused.');
+  }
+
+  // Tracks kept scheduled (current included). Never fewer than two, so the
+  // next track is always decoded and queued before the current one ends.
+  windowSize() { return Math.max(this.batchSize, 2); }
+
+  // Rolling batch: drop finished segments and append decoded tracks until the
+  // window is full again. Driven by source `ended` events, which keep firing
+  // from the audio thread while the page is hidden or the screen is locked.
+  async extendBatch() {
+    if (!this.ctx || this.isExtending || this.isLoading || !this.scheduled.length) return;
+    this.isExtending = true;
+    const gen = this.generation;
+    const { signal } = this.loads;
+    try {
+      this.logPlays();
+      const now = this.ctx.currentTime;
+      while (this.scheduled.length > 1 && this.scheduled[0].endTime <= now) {
+        releaseSegment(this.scheduled.shift());
+      }
+      const cur = this.getCurrent();
+      if (cur && cur.ctxIndex >= 0) this.idx = cur.ctxIndex;
+
+      let added = 0, failures = 0, ended = false;
+      let last = this.segEntry(this.scheduled[this.scheduled.length - 1]);
+      // The sleep timer stops after its entry: nothing is scheduled past it
+      let held = this.isSleepAnchor(last);
+      while (!held && this.scheduled.length < this.windowSize() && failures < this.songs.length + this.upNext.length) {
+        const wanted = this.upcoming(last, this.windowSize() - this.scheduled.length);
+        if (!wanted.length) { ended = true; break; }
+        const entries = this.withinBudget(wanted, this.scheduled.length);
+        if (!entries.length) break;
+        // Loaded concurrently, scheduled strictly in order
+        const loads = startLimit(entries, LOAD_CONCURRENCY, e => this.loadTrack(e.song.file, 0, signal));
+        for (let i = 0; i < entries.length; i++) {
+          const entry = entries[i];
+          let buf;
+          // Skip unplayable files, but keep the rolling order moving past them
+          try { buf = await loads[i]; }
+          catch {
+            if (gen !== this.generation) return;
+            failures++; this.consume(entry); last = entry; continue;
+          }
+          if (gen !== this.generation) return;
+          this.scheduleSegment(entry, buf, this.ctx.currentTime);
+          last = entry; added++;
+          if ((held = this.isSleepAnchor(entry))) break;
+        }
+      }
+      if (added) {
+        setStatus(`Rolling batch: ${this.windowLabel()} queued · ${this.memoryLabel()}.`);
+        scheduleMetadataUpdates();
+        this.checkpoint();
+      } else if (ended && this.scheduled[this.scheduled.length - 1].endTime <= now) {
+        // Repeat off and the last track has finished: rewind to the top, paused
+        this.stopAllScheduled();
+        this.idx = this.order[0] ?? 0;
+        this.isPlaying = false; this.setPlaybackState('paused');
+        setStatus('End of playlist.');
+        this.checkpoint();
+      }
+    } finally {
+      this.isExtending = false;
+      // Superseded mid-load by rescheduleUpcoming(): refill in the new order
+      if (gen !== this.generation) this.extendBatch();
+    }
   }
 
   async seekRelative(delta) {
@@ -303,43 +1289,181 @@ class BatchScheduledPlayer {
     else await this.seekTo(np);
   }
 
-  async loadDecodedBuffer(url) {
-    if (this.bufferCache.has(url)) return this.bufferCache.get(url);
-    const res = await fetch(url, { cache: 'no-store' });
+  // An AudioBuffer, or a ChunkedTrack for MP3s over LONG_TRACK_SEC with the
+  // chunk holding `offset` already decoded. Concurrent loads of one file share
+  // a single fetch, unless the one in flight belongs to an aborted batch.
+  async loadTrack(url, offset = 0, signal = this.loads.signal) {
+    let track = this.bufferCache.get(url);
+    if (track) this.bufferCache.delete(url);
+    else {
+      let job = this.inflight.get(url);
+      if (!job || job.signal.aborted) {
+        job = { signal, promise: this.fetchTrack(url, signal) };
+        this.inflight.set(url, job);
+        const done = () => { if (this.inflight.get(url) === job) this.inflight.delete(url); };
+        job.promise.then(done, done);
+      }
+      track = await job.promise;
+    }
+    this.bufferCache.set(url, track);
+    this.trimCache();
+    if (track instanceof ChunkedTrack) await track.chunk(track.chunkAt(offset));
+    return track;
+  }
+
+  async fetchTrack(url, signal) {
+    const res = await fetch(url, { cache: 'no-store', signal });
     if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
     const arr = await res.arrayBuffer();
-    const buf = await new Promise((resolve, reject) => this.ctx.decodeAudioData(arr, resolve, reject));
-    this.bufferCache.set(url, buf); this.cacheOrder.push(url);
-    while (this.cacheOrder.length > this.maxCached) this.bufferCache.delete(this.cacheOrder.shift());
-    return buf;
+    const frames = indexFrames(new Uint8Array(arr));
+    const track = frames && frames.duration > LONG_TRACK_SEC
+      ? new ChunkedTrack(this.ctx, arr, frames)
+      : await new Promise((resolve, reject) => this.ctx.decodeAudioData(arr, resolve, reject));
+    analyzeTrack(url, track);
+    return track;
+  }
+
+  // About `sec` seconds from the middle of an MP3, decoded on their own and
+  // not cached: enough to measure a tempo by. Null for other formats.
+  async decodeExcerpt(url, sec, signal) {
+    const res = await fetch(url, { cache: 'no-store', signal });
+    if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    const frames = indexFrames(bytes);
+    if (!frames) return null;
+    const count = frames.offsets.length - 1;
+    const span = Math.min(count, Math.ceil(sec * frames.rate / frames.samples));
+    const from = (count - span) >> 1;
+    const slice = bytes.slice(frames.offsets[from], frames.offsets[from + span]).buffer;
+    return new Promise((resolve, reject) => this.ctx.decodeAudioData(slice, resolve, reject));
+  }
+
+  // Cancels fetches for a batch that's being replaced; returns the new batch's signal
+  abortLoads() {
+    this.loads.abort();
+    this.loads = new AbortController();
+    return this.loads.signal;
+  }
+
+  // ── Memory budget ──
+  // Decoded bytes held by the cache and the scheduled window together
+  memoryUsage() {
+    const tracks = new Set([...this.bufferCache.values(), ...this.scheduled.map(s => s.track)]);
+    let total = 0;
+    for (const t of tracks) total += audioBytes(t);
+    // Stretched pieces are copies of their own
+    for (const seg of this.scheduled) if (seg.stretch) for (const src of seg.sources) total += audioBytes(src.buffer);
+    return total;
+  }
+
+  memoryLabel() { return `${fmtMB(this.memoryUsage())} of ${fmtMB(this.memoryBudget)} audio in memory`; }
+
+  // Tracks scheduled, and the batch size when the budget holds the window short of it
+  windowLabel() {
+    const n = this.scheduled.length;
+    return this.memoryCapped ? `${n} of ${this.windowSize()} track(s) (memory budget)` : `${n} track(s)`;
+  }
+
+  // Rough size of a track once scheduled, from its tagged duration: the whole
+  // decode, or the chunks scheduled ahead for a long track, plus the stretched
+  // pieces made from it when keeping pitch
+  estimateBytes(song) {
+    const sec = song.duration > LONG_TRACK_SEC ? PIECE_LEAD_SEC + CHUNK_SEC : song.duration || 240;
+    const copies = this.keepPitch && this.rate !== 1 ? 1 + 1 / this.rate : 1;
+    return sec * copies * (this.ctx?.sampleRate || 44100) * 2 * 4;
+  }
+
+  // The leading `entries` that fit the budget on top of what's scheduled. The
+  // window grows to the batch size or the budget, whichever comes first, but
+  // always keeps the next track lined up (`count` tracks are already in it).
+  withinBudget(entries, count) {
+    let bytes = 0;
+    for (const t of new Set(this.scheduled.map(s => s.track))) bytes += audioBytes(t);
+    const out = [];
+    for (const entry of entries) {
+      bytes += this.estimateBytes(entry.song);
+      if (count + out.length >= 2 && bytes > this.memoryBudget) break;
+      out.push(entry);
+    }
+    this.memoryCapped = out.length < entries.length;
+    return out;
+  }
+
+  // Drops least recently used tracks until everything fits the budget.
+  // Scheduled tracks can't be freed, so they stay.
+  trimCache() {
+    const inUse = new Set(this.scheduled.map(s => s.track));
+    for (const [url, track] of this.bufferCache) {
+      if (this.memoryUsage() <= this.memoryBudget) break;
+      if (!inUse.has(track)) this.bufferCache.delete(url);
+    }
+  }
+
+  // Logs a play for each segment that has played long enough to count since
+  // the last call, stamped with when it became current. Runs at segment
+  // boundaries and when plays come to count (metadata timers, which fire a
+  // little early, and batch refills), so a late timer still logs the right time.
+  logPlays() {
+    if (!this.ctx) return;
+    const now = this.ctx.currentTime;
+    for (const seg of this.scheduled) {
+      if (seg.logged || playCountsAt(seg) > now + 0.1) continue;
+      seg.logged = true;
+      recordHistory(seg.song.file, 'play', this.playlistId, Date.now() + (segHandoff(seg) - now) * 1000);
+    }
   }
 
+  // While two segments overlap, the incoming one takes over at the midpoint of the fade.
   getCurrent() {
     if (!this.ctx || !this.scheduled.length) return null;
     const t = this.ctx.currentTime;
-    for (const seg of this.scheduled) if (t >= seg.startTime && t < seg.endTime) return seg;
-    return this.scheduled[this.scheduled.length - 1] ?? null;
+    let cur = this.scheduled[0];
+    for (const seg of this.scheduled) if (t >= segHandoff(seg)) cur = seg;
+    return cur;
   }
 
   getProgress() {
     const cur = this.getCurrent();
     if (!cur) return { ratio: 0, pos: 0, dur: 0, index: this.idx };
     const elapsed = Math.max(0, this.ctx.currentTime - cur.startTime);
-    const pos = (cur.startOffset || 0) + elapsed;
+    const pos = (cur.startOffset || 0) + elapsed * cur.rate;
     const dur = cur.duration;
     return { ratio: dur > 0 ? clamp01(pos / dur) : 0, pos, dur, index: cur.index };
   }
 
+  // Batch time is wall-clock time across the rolling window of scheduled
+  // segments, so crossfade overlaps count once and a faster speed shortens it.
   getBatchProgress() {
-    if (!this.ctx || !this.scheduled.length) return { pos: 0, dur: 0 };
+    if (!this.ctx || !this.scheduled.length) return { pos: 0, dur: 0, count: 0 };
     const t = this.ctx.currentTime;
-    let totalDur = 0, curPos = 0;
-    for (const seg of this.scheduled) {
-      totalDur += seg.duration;
-      if (t >= seg.endTime) curPos += seg.duration;
-      else if (t >= seg.startTime) curPos += (seg.startOffset || 0) + (t - seg.startTime);
-    }
-    return { pos: curPos, dur: totalDur };
+    const first = this.scheduled[0];
+    const last  = this.scheduled[this.scheduled.length - 1];
+    const lead  = (first.startOffset || 0) / first.rate;
+    const span  = last.endTime - first.startTime;
+    return { pos: lead + Math.min(span, Math.max(0, t - first.startTime)), dur: lead + span, count: this.scheduled.length };
+  }
+
+  // ── Checkpoint ──
+  // Where playback stands, in a form that survives a reload: the playing
+  // entry by file, the offset into it, the user queue and the play modes.
+  snapshot() {
+    const cur = this.getCurrent();
+    const entry = cur ? this.segEntry(cur) : this.entryAt(this.idx);
+    return {
+      playlistId: this.playlistId,
+      file: entry.song?.file ?? null, index: entry.ctxIndex, queued: !!entry.qitem,
+      offset: cur ? this.getProgress().pos : 0,
+      queue: this.pendingQueue().filter(q => q !== entry.qitem).map(q => q.song.file),
+      batchSize: this.batchSize,
+      shuffle: this.shuffle, seed: this.shuffleSeed, repeat: this.repeat,
+      savedAt: Date.now(),
+    };
+  }
+
+  // Only once something has played, so launching the app never overwrites the last session
+  checkpoint() {
+    if (!this.ctx || !this.songs.length) return;
+    try { localStorage.setItem(RESUME_KEY, JSON.stringify(this.snapshot())); } catch {}
   }
 
   setupMediaSession() {
@@ -350,127 +1474,292 @@ class BatchScheduledPlayer {
       navigator.mediaSession.setActionHandler('nexttrack',     async () => { await this.next();  render(); });
       navigator.mediaSession.setActionHandler('previoustrack', async () => { await this.prev();  render(); });
     } catch {}
+    // Newer actions register one by one: a browser without one still gets the rest
+    const handlers = {
+      seekto:       async d => { await this.seekTo(d.seekTime); render(true); },
+      seekbackward: async d => { await this.seekRelative(-(d.seekOffset || SEEK_STEP_SEC)); render(true); },
+      seekforward:  async d => { await this.seekRelative(d.seekOffset || SEEK_STEP_SEC); render(true); },
+      stop:         async () => { await this.pause(); await this.seekTo(0); render(true); },
+    };
+    for (const [action, handler] of Object.entries(handlers)) {
+      try { navigator.mediaSession.setActionHandler(action, details => handler(details).catch(e => setStatus(`Error: ${e.message}`))); } catch {}
+    }
   }
 
-  updateNowPlayingMetadata(index) {
-    if (!('mediaSession' in navigator)) return;
-    const song = this.songs[index]; if (!song) return;
+  // The album shown is the playlist playing; artwork is the track's own, or
+  // its gradient placeholder drawn out, or the app icon
+  updateNowPlayingMetadata(song) {
+    if (!('mediaSession' in navigator) || !song) return;
+    const art = song.art ? [{ src: song.art, type: song.artType }] : gradientArtwork(song);
     try {
       navigator.mediaSession.metadata = new MediaMetadata({
-        title: song.title, artist: song.artist, album: 'WalkPlayer',
-        artwork: [
+        title: song.title, artist: songArtist(song), album: ui.playerPlaylistName.textContent || 'WalkPlayer',
+        artwork: art ?? [
           { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
           { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
         ],
       });
     } catch {}
     this.setPlaybackState(this.isPlaying ? 'playing' : 'paused');
+    this.updatePositionState();
+  }
+
+  // Lock screens extrapolate the position from this, so it only needs
+  // pushing when the track, speed or play state changes
+  updatePositionState(seg = this.getCurrent()) {
+    if (!seg || !('mediaSession' in navigator)) return;
+    const elapsed = Math.max(0, this.ctx.currentTime - seg.startTime);
+    const position = Math.min(seg.duration, seg.startOffset + elapsed * seg.rate);
+    try { navigator.mediaSession.setPositionState({ duration: seg.duration, playbackRate: seg.rate, position }); } catch {}
   }
 
   setPlaybackState(state) { try { navigator.mediaSession.playbackState = state; } catch {} }
 }
 
-// ── Metadata timers ──
-const metadataTimers = [];
-function scheduleMetadataUpdates() {
-  metadataTimers.forEach(id => clearTimeout(id)); metadataTimers.length = 0;
-  if (!player.ctx || !player.scheduled.length) return;
-  const audioNow = player.ctx.currentTime;
-  for (const seg of player.scheduled) {
-    const delayMs = (seg.startTime - audioNow) * 1000 - 50;
-    if (delayMs <= 0) continue;
-    const { index } = seg;
-    metadataTimers.push(setTimeout(() => player.updateNowPlayingMetadata(index), delayMs));
+// Stable 32-bit rank of a key under a shuffle seed (murmur-style mixing)
+function seededRank(seed, key) {
+  let h = (seed ^ 0x9e3779b9) >>> 0;
+  for (let i = 0; i < key.length; i++) {
+    h = Math.imul(h ^ key.charCodeAt(i), 0x5bd1e995);
+    h ^= h >>> 15;
   }
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
 }
 
-// ── Player instance ──
-const player = new BatchScheduledPlayer([]);
+// Equal-power fade curves for crossfades
+function fadeCurve(fadeIn, steps = 64) {
+  const curve = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const x = i / (steps - 1);
+    curve[i] = fadeIn ? Math.sin(x * Math.PI / 2) : Math.cos(x * Math.PI / 2);
+  }
+  return curve;
+}
 
-function setStatus(msg) { ui.statusLine.textContent = msg; }
+// Audio time at which a segment becomes the "current" track
+function segHandoff(seg) { return seg.startTime + (seg.fadeIn || 0) / 2; }
 
-// ── Build in-player song list ──
-function buildList() {
-  ui.list.innerHTML = '';
-  SONGS.forEach((s, i) => {
-    const li = document.createElement('li');
-    li.className = 'item'; li.dataset.index = String(i);
-    li.innerHTML = `
-      <div class="l">
-        <div class="t">${escapeHtml(s.title)}</div>
-        <div class="a">${escapeHtml(s.artist)}</div>
-      </div>
-      <div class="r">#${i + 1}</div>`;
-    li.addEventListener('click', async () => {
-      player.idx = i;
-      await player.rebuildBatchFrom(i, { autostart: true });
-      render(true);
-    });
-    ui.list.appendChild(li);
-  });
+// Audio time at which a segment has played long enough to count as a play
+function playCountsAt(seg) {
+  return segHandoff(seg) + Math.min(PLAY_COUNTS_SEC, (seg.duration - seg.startOffset) / 2) / seg.rate;
 }
 
-function markActive(index) {
-  ui.list.querySelectorAll('.item').forEach(el => el.classList.remove('active'));
-  const el = ui.list.querySelector(`.item[data-index="${index}"]`);
-  if (el) el.classList.add('active');
+// Whether two play entries (or segments) are the same one in the order
+function sameEntry(a, b) { return a.qitem ? a.qitem === b.qitem : !b.qitem && a.index === b.index; }
+
+// A segment plays as one source, or as consecutive pieces: the chunks of a
+// ChunkedTrack, or STRETCH_SEC slices of one that's being time-stretched.
+function pieceCount(seg) {
+  return seg.track instanceof ChunkedTrack ? seg.track.chunkCount : Math.ceil(seg.duration / STRETCH_SEC);
 }
 
-function scrollToActive(index) {
-  const el = ui.list.querySelector(`.item[data-index="${index}"]`);
-  if (el) el.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+// Track time where piece k begins; pieceStart(seg, pieceCount(seg)) is the end
+function pieceStart(seg, k) {
+  return seg.track instanceof ChunkedTrack ? seg.track.chunkStart(k) : Math.min(k * STRETCH_SEC, seg.duration);
 }
 
-// ── Progress UI ──
-function setProgressUI(ratio, pos, dur) {
-  const pct = `${Math.round(ratio * 100)}%`;
-  ui.progressBar.style.width = pct;
-  ui.progressThumb.style.left = pct;
+function pieceAt(seg, sec) {
+  if (seg.track instanceof ChunkedTrack) return seg.track.chunkAt(sec);
+  return Math.max(0, Math.min(pieceCount(seg) - 1, Math.floor(sec / STRETCH_SEC)));
+}
+
+// Decoded audio for piece k as [{ buf, start }], `start` being the track time
+// of the buffer's first sample. Stretching reads a little past the end of a
+// piece, so a stretched chunk comes with the chunk after it.
+async function pieceAudio(seg, k) {
+  const { track } = seg;
+  if (!(track instanceof ChunkedTrack)) return [{ buf: track, start: 0 }];
+  const chunks = seg.stretch && k + 1 < track.chunkCount ? [k, k + 1] : [k];
+  return Promise.all(chunks.map(async j => {
+    const buf = track.ready.get(j) || await track.chunk(j);
+    return { buf, start: track.chunkStart(j + 1) - buf.duration };
+  }));
+}
+
+// Track time [from, to) of `parts` time-stretched to `rate`, plus
+// STRETCH_XFADE of what follows. Both ends fade, so consecutive pieces
+// crossfade where they overlap.
+function stretchPiece(ctx, parts, from, to, rate) {
+  const { sampleRate: sr, numberOfChannels: channels } = parts[0].buf;
+  const first = Math.round(from * sr);
+  const inLen = Math.round((to - from + STRETCH_XFADE * rate + 0.1) * sr); // slack for the grain search
+  const input = Array.from({ length: channels }, (_, c) => {
+    const arr = new Float32Array(inLen);
+    for (const { buf, start } of parts) {
+      const data = buf.getChannelData(Math.min(c, buf.numberOfChannels - 1));
+      const at = Math.round(start * sr) - first;  // where the buffer's first sample lands
+      const a = Math.max(0, at), b = Math.min(inLen, at + data.length);
+      if (b > a) arr.set(data.subarray(a - at, b - at), a);
+    }
+    return arr;
+  });
+
+  const length = Math.round(((to - from) / rate + STRETCH_XFADE) * sr);
+  const fade = Math.min(Math.round(STRETCH_XFADE * sr), length >> 1);
+  const out = ctx.createBuffer(channels, length, sr);
+  timeStretch(input, sr, rate, length).forEach((data, c) => {
+    for (let i = 0; i < fade; i++) { data[i] *= i / fade; data[length - 1 - i] *= i / fade; }
+    out.copyToChannel(data, c);
+  });
+  return out;
+}
+
+function releaseSegment(seg) {
+  for (const src of seg.sources) { try { src.stop(0); } catch {} try { src.disconnect(); } catch {} }
+  try { seg.norm.disconnect(); } catch {}
+  try { seg.gain.disconnect(); } catch {}
+}
+
+// Bytes of decoded audio a loaded track holds (Float32 per sample per channel)
+function audioBytes(track) {
+  return track instanceof ChunkedTrack ? track.byteSize : track.length * track.numberOfChannels * 4;
+}
+
+// ── Metadata timers ──
+const metadataTimers = [];
+function scheduleMetadataUpdates() {
+  metadataTimers.forEach(id => clearTimeout(id)); metadataTimers.length = 0;
+  if (!player.ctx || !player.scheduled.length) return;
+  const audioNow = player.ctx.currentTime;
+  for (const seg of player.scheduled) {
+    const countMs = (playCountsAt(seg) - audioNow) * 1000 - 50;
+    if (!seg.logged && countMs > 0) metadataTimers.push(setTimeout(() => player.logPlays(), countMs));
+    const delayMs = (segHandoff(seg) - audioNow) * 1000 - 50;
+    if (delayMs <= 0) continue;
+    metadataTimers.push(setTimeout(() => {
+      player.updateNowPlayingMetadata(seg.song);
+      player.updatePositionState(seg);
+    }, delayMs));
+  }
+}
+
+// Lock-screen artwork for tracks without cover art: the track's gradient,
+// drawn once per gradient. Null where there's no canvas to draw it on.
+const ARTWORK_SIZE = 512;
+const gradientArt = new Map();
+function gradientArtwork(song) {
+  const [c1, c2] = trackGradient(song);
+  const key = `${c1}${c2}`;
+  if (!gradientArt.has(key)) {
+    let src = null;
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = ARTWORK_SIZE;
+      const g = canvas.getContext('2d');
+      const fill = g.createLinearGradient(0, 0, ARTWORK_SIZE, ARTWORK_SIZE);
+      fill.addColorStop(0, c1); fill.addColorStop(1, c2);
+      g.fillStyle = fill;
+      g.fillRect(0, 0, ARTWORK_SIZE, ARTWORK_SIZE);
+      src = canvas.toDataURL('image/png');
+    } catch {}
+    gradientArt.set(key, src);
+  }
+  const src = gradientArt.get(key);
+  return src && [{ src, sizes: `${ARTWORK_SIZE}x${ARTWORK_SIZE}`, type: 'image/png' }];
+}
+
+// ── Player instance ──
+const player = new BatchScheduledPlayer([]);
+
+function setStatus(msg) { ui.statusLine.textContent = msg; }
+
+// ── Build in-player song list ──
+// The song lists are virtualized (see vlist.js): rows are drawn as they
+// scroll into view and taps are handled per list, not per row
+const playerRows = new VirtualList(ui.list, {
+  scroller: ui.list.closest('.screen-body'),
+  key: s => s.file,
+  render: (li, s, i) => {
+    li.className = 'item';
+    li.innerHTML = `
+      <div class="l">
+        <div class="t">${offlineBadge(s)}${escapeHtml(s.title)}</div>
+        <div class="a">${escapeHtml(songArtist(s))}</div>
+      </div>
+      <div class="r">#${i + 1}</div>`;
+  },
+  reindex: (li, s, i) => { li.querySelector('.r').textContent = `#${i + 1}`; },
+  onClick: async (s, i) => {
+    player.idx = i;
+    try { await player.rebuildBatchFrom(i, { autostart: true }); render(true); }
+    catch (e) { setStatus(`Error: ${e.message}`); }
+  },
+});
+
+function buildList() { playerRows.setItems(SONGS, { refresh: true }); }
+
+function markActive(index) { playerRows.setActive(index); }
+
+function scrollToActive(index) { playerRows.scrollToIndex(index, { behavior: 'smooth' }); }
+
+// ── Progress UI ──
+function setProgressUI(ratio, pos, dur) {
+  const pct = `${Math.round(ratio * 100)}%`;
+  ui.progressBar.style.width = pct;
+  ui.progressThumb.style.left = pct;
   ui.timeCur.textContent = fmtTime(pos);
   ui.timeTot.textContent = fmtTime(dur);
   ui.progressTrack.setAttribute('aria-valuenow', Math.round(ratio * 100));
 }
 
 // ── Render (player screen) ──
+const BATCH_HINT = 'Tracks kept queued ahead; refills as each one finishes.';
+
 function render(forceMetadata = false) {
   const cur = player.getCurrent();
   const p = player.getProgress();
   const idx = cur ? cur.index : player.idx;
-  const song = SONGS[idx];
+  const song = cur ? cur.song : SONGS[idx];
 
   ui.npTitle.textContent  = song ? song.title  : 'Not playing';
-  ui.npArtist.textContent = song ? song.artist : 'Tap Play to start';
-  ui.npMeta.textContent   = song ? `Track ${idx + 1} / ${SONGS.length}` : '—';
+  ui.npArtist.textContent = song ? songArtist(song) : 'Tap Play to start';
+  ui.npMeta.textContent   = !song ? '—'
+    : (cur?.qitem ? 'From your queue' : `Track ${idx + 1} / ${SONGS.length}`) + (song.album ? ` · ${song.album}` : '');
 
-  const [c1, c2] = TRACK_GRADIENTS[idx % TRACK_GRADIENTS.length];
-  ui.albumArt.style.background = `linear-gradient(135deg, ${c1}, ${c2})`;
+  ui.albumArt.style.background = artBackground(song);
+  ui.albumArt.classList.toggle('has-art', !!song?.art);
 
-  const nextIdx  = (idx + 1) % SONGS.length;
-  const nextSong = SONGS[nextIdx];
-  ui.nextUpTrack.textContent = (nextSong && SONGS.length > 1)
-    ? (nextSong.artist !== '—' ? `${nextSong.title} · ${nextSong.artist}` : nextSong.title)
+  const nextSong = player.upcomingAfterCurrent(1)[0]?.song;
+  ui.nextUpTrack.textContent = nextSong
+    ? (nextSong.artist !== '—' ? `${nextSong.title} · ${songArtist(nextSong)}` : nextSong.title)
     : '—';
 
   if (!isScrubbing) setProgressUI(p.ratio, p.pos, p.dur);
 
   const bp = player.getBatchProgress();
   ui.batchPos.textContent = bp.dur > 0 ? fmtTime(bp.pos) : '—';
-  ui.batchTot.textContent = bp.dur > 0 ? fmtTime(bp.dur) : '—';
+  ui.batchTot.textContent = bp.dur > 0 ? `${fmtTime(bp.dur)} · ${bp.count} queued` : '—';
+  ui.batchHint.textContent = player.memoryCapped
+    ? `Memory holds ${player.scheduled.length} of ${player.windowSize()} tracks right now.`
+    : BATCH_HINT;
 
   const playing = player.isPlaying && player.ctx?.state === 'running';
   ui.playIcon.textContent = playing ? '⏸' : '▶️';
   ui.playText.textContent = playing ? 'Pause' : 'Play';
 
   markActive(idx);
+  ui.normInfo.textContent = normalizeHint(cur);
+  renderSleep();
 
-  if (player.ctx && player.isPlaying && p.dur > 0) {
-    try { navigator.mediaSession?.setPositionState({ duration: p.dur, playbackRate: 1, position: Math.min(p.pos, p.dur) }); } catch {}
-  }
-
-  if (forceMetadata && song) player.updateNowPlayingMetadata(idx);
+  if (forceMetadata && song) player.updateNowPlayingMetadata(song);
+  if (navStack[navStack.length - 1] === 'screenQueue') updateQueueTimes();
   updateMiniPlayer();
 }
 
+// Re-renders every view that shows song titles, after library metadata changes
+function refreshLibraryViews() {
+  songSearch = null;
+  renderHome();
+  // Tags feed the rules and the artist and album groups, so those are worked out again
+  if (isSmartId(playingPlaylistId) || isBrowseId(playingPlaylistId) || loadPlaylists().find(p => p.id === playingPlaylistId)?.smart) syncPlayingPlaylist(playingPlaylistId);
+  buildList();
+  if (ui.searchInput.value.trim()) handleSearch(ui.searchInput.value);
+  if (navStack[navStack.length - 1] === 'screenDetail') openPlaylistDetail(activePlaylistId);
+  if (navStack[navStack.length - 1] === 'screenQueue') renderQueue();
+  render(true);
+}
+
 // ── Mini-player ──
 function updateMiniPlayer() {
   const activeScreen = navStack[navStack.length - 1];
@@ -482,15 +1771,13 @@ function updateMiniPlayer() {
 
   const p   = player.getProgress();
   const cur = player.getCurrent();
-  const idx  = cur ? cur.index : player.idx;
-  const song = SONGS[idx];
+  const song = cur ? cur.song : SONGS[player.idx];
 
   ui.miniTitle.textContent  = song ? song.title  : '—';
-  ui.miniArtist.textContent = song ? song.artist : '';
+  ui.miniArtist.textContent = song ? songArtist(song) : '';
   ui.miniProgressBar.style.width = `${Math.round(p.ratio * 100)}%`;
 
-  const [c1, c2] = TRACK_GRADIENTS[idx % TRACK_GRADIENTS.length];
-  ui.miniArt.style.background = `linear-gradient(135deg, ${c1}, ${c2})`;
+  ui.miniArt.style.background = artBackground(song);
 
   const playing = player.isPlaying && player.ctx?.state === 'running';
   ui.miniBtnPlay.textContent = playing ? '⏸' : '▶️';
@@ -511,16 +1798,30 @@ function renderHome() {
   allCard.addEventListener('click', () => openPlaylistDetail('__all__'));
   ui.plGrid.appendChild(allCard);
 
+  // Smart playlist cards (built-in, rules editable)
+  smartPlaylists().forEach((def, i) => {
+    const [g1, g2] = TRACK_GRADIENTS[(2 * i + 1) % TRACK_GRADIENTS.length];
+    const count = smartSongs(def).length;
+    const card = document.createElement('div');
+    card.className = 'pl-card';
+    card.innerHTML = `
+      <div class="pl-card-art" style="background:linear-gradient(135deg,${g1},${g2})">${def.icon}</div>
+      <div class="pl-card-name">${escapeHtml(def.name)}</div>
+      <div class="pl-card-count">${count} track${count !== 1 ? 's' : ''}</div>`;
+    card.addEventListener('click', () => openPlaylistDetail(def.id));
+    ui.plGrid.appendChild(card);
+  });
+
   // User playlist cards
   userPlaylists.forEach((pl, i) => {
     const [g1, g2] = PL_GRADIENTS[i % PL_GRADIENTS.length];
     const card = document.createElement('div');
     card.className = 'pl-card';
-    const count = pl.songFiles.length;
+    const count = trackCount(pl);
     card.innerHTML = `
-      <div class="pl-card-art" style="background:linear-gradient(135deg,${g1},${g2})">♪</div>
+      <div class="pl-card-art" style="background:linear-gradient(135deg,${g1},${g2})">${pl.smart ? '✦' : '♪'}</div>
       <div class="pl-card-name">${escapeHtml(pl.name)}</div>
-      <div class="pl-card-count">${count} track${count !== 1 ? 's' : ''}</div>
+      <div class="pl-card-count">${count} track${count !== 1 ? 's' : ''}${offlineCardLabel(pl)}</div>
       <button class="pl-card-del" aria-label="Delete ${escapeHtml(pl.name)}">✕</button>`;
     card.querySelector('.pl-card-del').addEventListener('click', (ev) => {
       ev.stopPropagation();
@@ -531,49 +1832,349 @@ function renderHome() {
     card.addEventListener('click', () => openPlaylistDetail(pl.id));
     ui.plGrid.appendChild(card);
   });
+
+  renderBrowse();
+}
+
+// Playlists, Artists or Albums under "Your Library"
+const BROWSE_TAB_KEY = 'walkplayer_browse_tab';
+let browseTab = localStorage.getItem(BROWSE_TAB_KEY) || 'playlists';
+
+function plural(n, word) { return `${n} ${word}${n !== 1 ? 's' : ''}`; }
+
+function renderBrowse() {
+  ui.browseTabs.querySelectorAll('.batch-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.browse === browseTab));
+  ui.plGrid.classList.toggle('hidden', browseTab !== 'playlists');
+  ui.browseList.classList.toggle('hidden', browseTab === 'playlists');
+  ui.browseList.innerHTML = '';
+  if (browseTab === 'playlists') return;
+
+  const artists = browseTab === 'artists';
+  const groups = artists ? artistIndex(allSongs) : albumIndex(allSongs);
+  for (const g of groups) {
+    const facts = artists
+      ? [plural(g.songs.length, 'track'), g.albums && plural(g.albums, 'album'), g.featured && `featured on ${g.featured}`]
+      : [g.artist ?? 'Various artists', g.year, plural(g.songs.length, 'track')];
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.innerHTML = `<div class="l"><div class="t">${escapeHtml(g.name)}</div><div class="a">${escapeHtml(facts.filter(Boolean).join(' · '))}</div></div><div class="r">›</div>`;
+    li.addEventListener('click', () => openPlaylistDetail(`${artists ? 'artist' : 'album'}:${g.key}`));
+    ui.browseList.appendChild(li);
+  }
+  if (!groups.length) {
+    ui.browseList.innerHTML = `<li class="list-empty">${artists ? 'No artists yet.' : 'No album tags in your library yet.'}</li>`;
+  }
 }
 
+ui.browseTabs.addEventListener('click', ev => {
+  const btn = ev.target.closest('[data-browse]');
+  if (!btn || btn.dataset.browse === browseTab) return;
+  browseTab = btn.dataset.browse;
+  try { localStorage.setItem(BROWSE_TAB_KEY, browseTab); } catch {}
+  renderBrowse();
+});
+
 // ── Playlist detail ──
+let detailEditing = false;
+let detailShown = { id: null, title: '', editing: false }; // what the rows are drawn for
+
+const detailRows = new VirtualList(ui.detailList, {
+  scroller: ui.detailList.closest('.screen-body'),
+  key: s => s.file,
+  render: (li, s) => {
+    li.className = 'item';
+    if (detailShown.editing) {
+      li.dataset.drag = '';
+      li.innerHTML = queueRowHtml(s, `<div class="row-actions">
+        <button class="row-btn" data-act="remove" aria-label="Remove from playlist">✕</button>
+        <span class="drag-handle" aria-label="Drag to reorder">≡</span>
+      </div>`);
+    } else {
+      li.innerHTML = `
+        <div class="l">
+          <div class="t">${offlineBadge(s)}${escapeHtml(s.title)}</div>
+          <div class="a">${escapeHtml(songArtist(s))}</div>
+        </div>
+        ${queueActionsHtml()}`;
+    }
+  },
+  onClick: (s, i, ev) => {
+    const { id, title, editing } = detailShown;
+    if (editing) {
+      if (ev.target.closest('[data-act="remove"]')) editPlaylistFiles(id, files => files.filter(f => f !== s.file));
+      return;
+    }
+    if (handleQueueAction(ev, s)) return;
+    startFromPlaylist(detailRows.items, i, title, id);
+  },
+});
+
 function openPlaylistDetail(id) {
+  if (id !== activePlaylistId) detailEditing = false;
   activePlaylistId = id;
-  let songs, title, isUser;
+  const pl = playlistContext(id);
+  if (!pl) return;
+  const { songs, name: title } = pl;
+  const isSmart = isSmartId(id);
+  const userPl = loadPlaylists().find(p => p.id === id);
+  const isUser = !!userPl;
+  const hasRules = isSmart || !!userPl?.smart;
+
+  const editing = isUser && detailEditing;
+  const editingRules = isSmart && detailEditing;
+  ui.detailTitle.textContent = title;
+  ui.detailTitle.classList.toggle('hidden', editing);
+  ui.detailNameInput.classList.toggle('hidden', !editing);
+  if (editing && document.activeElement !== ui.detailNameInput) ui.detailNameInput.value = title;
+  ui.detailEditBar.classList.toggle('hidden', !editing);
+  ui.btnEditPlaylist.classList.toggle('hidden', !isUser && !isSmart);
+  ui.btnExportPlaylist.classList.toggle('hidden', !isUser || editing);
+  ui.btnEditPlaylist.textContent = detailEditing ? '✓' : '✎';
+  ui.btnEditPlaylist.setAttribute('aria-label', detailEditing ? 'Done editing' : hasRules ? 'Edit rules' : 'Edit playlist');
+  ui.btnDeletePlaylist.classList.toggle('hidden', !isUser || editing);
+  renderOfflineBar();
+  renderRuleBar(editingRules ? smartPlaylist(id) : null, songs.length);
+
+  detailShown = { id, title, editing };
+  // Highlight the song playing, when it's from this playlist
+  detailRows.setActive(player.scheduled.length > 0 && playingPlaylistId === id ? player.idx : -1);
+  detailRows.setItems(songs, {
+    empty: `<li class="list-empty">${editing ? 'No songs yet.' : 'This playlist is empty.'}</li>`,
+    refresh: true,
+  });
 
-  if (id === '__all__') {
-    songs = allSongs; title = 'All Songs'; isUser = false;
-  } else {
-    const pl = loadPlaylists().find(p => p.id === id);
-    if (!pl) return;
-    songs = getPlaylistSongs(pl); title = pl.name; isUser = true;
+  navigateTo('screenDetail');
+}
+
+// ── Smart playlist rules ──
+// The rule values and length of the smart playlist shown, edited in place.
+// The inputs are only rebuilt for another playlist, so typing keeps focus.
+function renderRuleBar(def, count) {
+  ui.detailRuleBar.classList.toggle('hidden', !def);
+  if (!def) { delete ui.detailRuleBar.dataset.id; return; }
+  if (ui.detailRuleBar.dataset.id !== def.id) {
+    ui.detailRuleBar.dataset.id = def.id;
+    const rules = def.rules.map((r, i) => {
+      const field = SMART_FIELDS[r.field];
+      return `<label class="smart-rule">${field.label} ${SMART_OPS[r.op].label}
+        <input type="number" class="input-num batch-custom" data-rule="${i}" min="0" value="${r.value}" />
+        <span class="hint">${field.unit}</span></label>`;
+    });
+    ui.detailRuleBar.innerHTML = `${rules.join('')}
+      <label class="smart-rule">Up to
+        <input type="number" class="input-num batch-custom" data-limit min="0" value="${def.limit}" />
+        <span class="hint">tracks (0 for all)</span></label>
+      <div class="hint" id="ruleCount"></div>`;
   }
+  $('ruleCount').textContent = `${count} matching track${count !== 1 ? 's' : ''}`;
+}
 
-  ui.detailTitle.textContent = title;
-  ui.btnDeletePlaylist.classList.toggle('hidden', !isUser);
+ui.detailRuleBar.addEventListener('input', ev => {
+  const input = ev.target.closest('input');
+  const def = input && smartPlaylist(activePlaylistId);
+  const value = Math.max(0, Number(input?.value));
+  if (!def || !Number.isFinite(value)) return;
+  if ('limit' in input.dataset) editSmartPlaylist(def.id, { limit: Math.round(value) });
+  else editSmartPlaylist(def.id, { rules: def.rules.map((r, i) => i === Number(input.dataset.rule) ? { ...r, value } : r) });
+  openPlaylistDetail(def.id);
+});
 
-  ui.detailList.innerHTML = '';
-  songs.forEach((s, i) => {
-    const li = document.createElement('li');
-    li.className = 'item';
-    // Highlight if currently playing this song
-    if (player.scheduled.length > 0 && SONGS === songs && player.idx === i) {
-      li.classList.add('active');
+// ── Playlist editing ──
+function setDetailEditing(on) {
+  if (!on) renamePlaylist();
+  detailEditing = on;
+  openPlaylistDetail(activePlaylistId);
+}
+
+function renamePlaylist() {
+  const name = ui.detailNameInput.value.trim();
+  const pl = loadPlaylists().find(p => p.id === activePlaylistId);
+  if (!pl || !name || name === pl.name) return;
+  updatePlaylist(pl.id, { name });
+  syncPlayingPlaylist(pl.id);
+  renderHome();
+  ui.detailTitle.textContent = name;
+}
+
+// Applies an edit to a playlist's songFiles and carries it into live playback
+function editPlaylistFiles(id, edit) {
+  const pl = loadPlaylists().find(p => p.id === id);
+  if (!pl) return;
+  updatePlaylist(id, { songFiles: edit(pl.songFiles) });
+  if (pl.offline) downloadPlaylist(id);
+  syncPlayingPlaylist(id);
+  renderHome();
+  if (navStack[navStack.length - 1] === 'screenDetail') openPlaylistDetail(activePlaylistId);
+}
+
+// Keeps SONGS and the player in step with edits to the playlist that's playing
+function syncPlayingPlaylist(id) {
+  if (id !== playingPlaylistId) return;
+  const pl = playlistContext(id);
+  if (!pl) return;
+  ui.playerPlaylistName.textContent = pl.name;
+  ui.playerListLabel.textContent    = pl.name;
+  if (pl.songs.length === SONGS.length && pl.songs.every((s, i) => s === SONGS[i])) return;
+  SONGS = pl.songs;
+  player.updateSongs(SONGS);
+  buildList();
+  markActive(player.getCurrent()?.index ?? player.idx);
+  render();
+}
+
+// Rows only show songs still in the library, so a move is applied to those
+// and any missing files keep their place in songFiles
+enableDragReorder(ui.detailList, (from, to) => editPlaylistFiles(activePlaylistId, files => {
+  const known = new Set(allSongs.map(s => s.file));
+  const shown = files.filter(f => known.has(f));
+  const [moved] = shown.splice(from, 1);
+  shown.splice(to, 0, moved);
+  let k = 0;
+  return files.map(f => known.has(f) ? shown[k++] : f);
+}), detailRows);
+
+// ── Offline downloads ──
+// The service worker owns the audio cache (sw.js); this side mirrors which
+// files it holds, as absolute URLs, for the badges and tracks progress.
+const OFFLINE_HEADROOM = 0.9; // matches the worker's QUOTA_HEADROOM
+let offlineFiles = new Set();
+const downloadProgress = new Map(); // playlist id → { done, failed, total }
+const DOWNLOAD_STALL_MS = 30000;    // no progress for this long: ask the worker if it's still going
+let stallTimer = 0;
+
+function songUrl(file) { return new URL(file, location.href).href; }
+function isOffline(song) { return offlineFiles.has(songUrl(song.file)); }
+
+function offlineBadge(song) {
+  return isOffline(song) ? '<span class="offline-badge" title="Available offline">⤓</span>' : '';
+}
+
+function offlineCardLabel(pl) {
+  const prog = downloadProgress.get(pl.id);
+  if (prog) return ` · <span class="offline-badge">⤓</span>${prog.done + prog.failed}/${prog.total}`;
+  if (!pl.offline) return '';
+  const songs = getPlaylistSongs(pl);
+  return songs.every(isOffline) ? ' · <span class="offline-badge">⤓</span>Offline' : ` · ⤓ ${songs.filter(isOffline).length}/${songs.length}`;
+}
+
+function fmtMB(bytes) { return `${Math.round(bytes / 1048576)} MB`; }
+
+async function postToWorker(msg) {
+  const reg = await navigator.serviceWorker.ready;
+  reg.active?.postMessage(msg);
+}
+
+// Every file an offline playlist still needs; the worker only evicts others
+function pinnedSongUrls() {
+  const files = loadPlaylists().filter(p => p.offline).flatMap(p => getPlaylistSongs(p).map(s => songUrl(s.file)));
+  return [...new Set(files)];
+}
+
+// A worker that was stopped or replaced mid-download never sends
+// 'download-done'. When progress goes quiet, ask the worker which downloads
+// it's running; the answer (see onWorkerMessage) drops the others.
+function watchDownloads() {
+  clearTimeout(stallTimer);
+  if (downloadProgress.size) stallTimer = setTimeout(() => postToWorker({ type: 'offline-status' }), DOWNLOAD_STALL_MS);
+}
+
+function evictUnpinned() {
+  if ('serviceWorker' in navigator) postToWorker({ type: 'evict', keep: pinnedSongUrls() });
+}
+
+async function downloadPlaylist(id) {
+  const pl = loadPlaylists().find(p => p.id === id);
+  if (!pl || downloadProgress.has(id)) return;
+  if (!('serviceWorker' in navigator)) { setStatus('Error: offline downloads are not supported in this browser.'); return; }
+  const songs = getPlaylistSongs(pl);
+  const missing = songs.filter(s => !isOffline(s));
+
+  // Rough check up front; the worker re-checks before storing each file
+  if (missing.length && navigator.storage?.estimate) {
+    let need = 0;
+    await mapLimit(missing, 4, async s => {
+      const size = await probeSize(s.file);
+      need += size || 0;
+    });
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const free = Math.max(0, quota * OFFLINE_HEADROOM - usage);
+    if (quota && need > free && !confirm(`"${pl.name}" needs about ${fmtMB(need)} but only ${fmtMB(free)} is free. ` +
+      'Songs no other offline playlist uses will be removed to make room. Download anyway?')) return;
+  }
+  navigator.storage?.persist?.().catch(() => {});
+
+  if (!pl.offline) updatePlaylist(id, { offline: true });
+  downloadProgress.set(id, { done: 0, failed: 0, total: songs.length });
+  watchDownloads();
+  renderHome();
+  renderOfflineBar();
+  postToWorker({ type: 'download', id, files: songs.map(s => songUrl(s.file)), keep: pinnedSongUrls() });
+}
+
+function removeDownload(id) {
+  updatePlaylist(id, { offline: false });
+  evictUnpinned();
+  renderHome();
+  renderOfflineBar();
+}
+
+function renderOfflineBar() {
+  const pl = loadPlaylists().find(p => p.id === activePlaylistId);
+  const show = !!pl && !detailEditing && 'serviceWorker' in navigator;
+  ui.detailOfflineBar.classList.toggle('hidden', !show);
+  if (!show) return;
+  const songs = getPlaylistSongs(pl);
+  const cached = songs.filter(isOffline).length;
+  const prog = downloadProgress.get(pl.id);
+
+  if (prog) ui.offlineInfo.textContent = `Downloading ${prog.done + prog.failed} of ${prog.total}…`;
+  else if (cached && cached === songs.length) ui.offlineInfo.textContent = '⤓ Available offline';
+  else ui.offlineInfo.textContent = cached ? `${cached} of ${songs.length} offline` : '';
+  ui.btnOffline.classList.toggle('hidden', !!prog || (cached === songs.length && pl.offline));
+  ui.btnOffline.textContent = pl.offline ? '⤓ Download the rest' : '⤓ Download for offline';
+  ui.btnOfflineRemove.classList.toggle('hidden', !!prog || !pl.offline);
+}
+
+function onWorkerMessage(ev) {
+  const msg = ev.data || {};
+  if (msg.type === 'download-progress') {
+    downloadProgress.set(msg.id, { done: msg.done, failed: msg.failed, total: msg.total });
+    watchDownloads();
+    if (msg.ok) offlineFiles.add(msg.file);
+    renderHome();
+    renderOfflineBar();
+  } else if (msg.type === 'download-done') {
+    downloadProgress.delete(msg.id);
+    watchDownloads();
+    const name = loadPlaylists().find(p => p.id === msg.id)?.name || 'Playlist';
+    if (msg.error) setStatus(`Error: ${msg.error}`);
+    showToast(msg.failed || msg.error ? `${name}: ${msg.done} of ${msg.total} downloaded` : `${name} is available offline`);
+  } else if (msg.type === 'offline-files') {
+    offlineFiles = new Set(msg.files);
+    // Answering 'offline-status': anything it isn't downloading has stopped
+    if (msg.downloading) {
+      for (const id of downloadProgress.keys()) if (!msg.downloading.includes(id)) downloadProgress.delete(id);
+      watchDownloads();
     }
-    li.innerHTML = `
-      <div class="l">
-        <div class="t">${escapeHtml(s.title)}</div>
-        <div class="a">${escapeHtml(s.artist)}</div>
-      </div>
-      <div class="r">#${i + 1}</div>`;
-    li.addEventListener('click', () => startFromPlaylist(songs, i, title));
-    ui.detailList.appendChild(li);
-  });
+    refreshLibraryViews();
+  }
+}
 
-  navigateTo('screenDetail');
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', onWorkerMessage);
+  // A new worker has none of the old one's downloads
+  navigator.serviceWorker.addEventListener('controllerchange', () => postToWorker({ type: 'offline-status' }));
 }
 
 // ── Start playback from a playlist ──
-function startFromPlaylist(songs, startIdx, playlistName) {
+function startFromPlaylist(songs, startIdx, playlistName, playlistId) {
   SONGS = songs;
-  player.songs = SONGS;
+  playingPlaylistId = playlistId;
+  ui.resumeCard.classList.add('hidden');
+  applyEq(activeEq());
+  player.setSongs(SONGS, playlistId);
+  player.setModes(loadPlayModes(playlistId));
+  renderModeButtons();
   player.idx = startIdx;
   ui.playerPlaylistName.textContent = playlistName;
   ui.playerListLabel.textContent    = playlistName;
@@ -585,118 +2186,487 @@ function startFromPlaylist(songs, startIdx, playlistName) {
     .catch(e => setStatus(`Error: ${e.message}`));
 }
 
-// ── Search ──
-function handleSearch(query) {
-  const q = query.toLowerCase().trim();
-  if (!q) {
-    ui.searchPane.classList.add('hidden');
-    ui.browsePane.classList.remove('hidden');
-    return;
+// ── Resume ──
+const RESUME_KEY = 'walkplayer_resume';
+let resumeState = null; // last session, read once at launch before anything overwrites it
+let libraryTagged = Promise.resolve(); // settles once launch has read every song's tags
+
+function offerResume() {
+  let nav = null;
+  try {
+    resumeState = JSON.parse(localStorage.getItem(RESUME_KEY) || 'null');
+    nav = JSON.parse(localStorage.getItem(NAV_KEY) || 'null');
+  } catch {}
+  const pl = resumeState && playlistContext(resumeState.playlistId);
+  const song = pl && allSongs.find(s => s.file === resumeState.file);
+  if (!song) { resumeState = null; return; }
+  resumeState.nav = nav;
+  ui.resumeInfo.textContent = `${song.title} · ${pl.name} · ${fmtTime(resumeState.offset)}`;
+  ui.resumeCard.classList.remove('hidden');
+}
+
+async function resumePlayback() {
+  const state = resumeState;
+  // Artists and albums come from the tags, which may still be loading
+  if (isBrowseId(state?.playlistId)) await libraryTagged;
+  const pl = state && playlistContext(state.playlistId);
+  ui.resumeCard.classList.add('hidden');
+  if (!pl) return;
+  const byFile = new Map(allSongs.map(s => [s.file, s]));
+  const song = byFile.get(state.file);
+  if (!song) return;
+
+  SONGS = pl.songs;
+  playingPlaylistId = state.playlistId;
+  applyEq(activeEq());
+  player.setSongs(SONGS, state.playlistId);
+  player.setModes({ shuffle: state.shuffle, seed: state.seed, repeat: state.repeat });
+  applyBatchSize(state.batchSize || 5);
+  player.editQueue(q => q.splice(0, q.length, ...state.queue
+    .map(f => byFile.get(f)).filter(Boolean)
+    .map(s => ({ id: ++player.queueSeq, song: s }))));
+
+  // The playlist may have been edited since: find the track by file. A queued
+  // track (or one no longer in the playlist) plays once, then the playlist resumes.
+  const ctxIndex = Math.max(0, Math.min(state.index, SONGS.length - 1));
+  const at = SONGS[state.index]?.file === state.file ? state.index : SONGS.findIndex(s => s.file === state.file);
+  const entry = !state.queued && at !== -1
+    ? player.entryAt(at)
+    : { index: -1, song, ctxIndex, qitem: { id: ++player.queueSeq, song } };
+  player.idx = entry.ctxIndex;
+
+  renderModeButtons();
+  ui.playerPlaylistName.textContent = pl.name;
+  ui.playerListLabel.textContent    = pl.name;
+  buildList();
+  scrollToActive(entry.index);
+
+  try {
+    await player.seekTo(state.offset || 0, entry);
+    await player.play();
+  } catch (e) { setStatus(`Error: ${e.message}`); }
+  render(true);
+  restoreNav(state.nav);
+}
+
+// Re-opens the screens that were on the stack when the app was closed
+function restoreNav(nav) {
+  for (const id of nav?.stack?.slice(1) || []) {
+    if (id === 'screenDetail') openPlaylistDetail(nav.detailId);
+    else if (id === 'screenQueue') { renderQueue(); navigateTo(id); }
+    else if (id === 'screenPlayer') navigateTo(id);
   }
-  ui.browsePane.classList.add('hidden');
-  ui.searchPane.classList.remove('hidden');
+}
 
-  // Songs matching title or artist
-  const results = allSongs.filter(s =>
-    s.title.toLowerCase().includes(q) || s.artist.toLowerCase().includes(q));
+// ── Queue ──
+function queueActionsHtml() {
+  return `<div class="row-actions">
+    <button class="row-btn" data-act="next" aria-label="Play next">↪</button>
+    <button class="row-btn" data-act="queue" aria-label="Add to queue">＋</button>
+  </div>`;
+}
 
-  // Also filter user playlists by name
-  const matchedPlaylists = loadPlaylists().filter(p =>
-    p.name.toLowerCase().includes(q));
+// Handles a tap on a row's "Play next" / "Add to queue" button; true if it was one
+function handleQueueAction(ev, song) {
+  const btn = ev.target.closest('.row-btn');
+  if (!btn) return false;
+  ev.stopPropagation();
+  if (btn.dataset.act === 'next') { player.playNext(song); showToast(`Playing next: ${song.title}`); }
+  else { player.addToQueue(song); showToast(`Added to queue: ${song.title}`); }
+  render();
+  return true;
+}
 
-  ui.searchList.innerHTML = '';
+let toastTimer = 0;
+function showToast(msg) {
+  ui.toast.textContent = msg;
+  ui.toast.classList.remove('toast-hidden');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => ui.toast.classList.add('toast-hidden'), 2200);
+}
 
-  if (matchedPlaylists.length) {
-    const hdr = document.createElement('li');
-    hdr.style.cssText = 'font-size:11px;font-weight:700;text-transform:uppercase;letter-spacing:.07em;color:var(--muted);padding:8px 2px 4px';
-    hdr.textContent = 'Playlists';
-    ui.searchList.appendChild(hdr);
+function queueRowHtml(song, right) {
+  return `
+    <div class="l">
+      <div class="t">${offlineBadge(song)}${escapeHtml(song.title)}</div>
+      <div class="a">${escapeHtml(songArtist(song))}</div>
+    </div>
+    ${right}`;
+}
 
-    matchedPlaylists.forEach(pl => {
-      const li = document.createElement('li');
-      li.className = 'item';
-      li.innerHTML = `<div class="l"><div class="t">${escapeHtml(pl.name)}</div><div class="a">${pl.songFiles.length} tracks</div></div><div class="r">›</div>`;
-      li.addEventListener('click', () => { ui.searchInput.blur(); openPlaylistDetail(pl.id); });
-      ui.searchList.appendChild(li);
-    });
-  }
+function renderQueue() {
+  const cur = player.getCurrent();
 
-  if (results.length) {
-    const hdr = document.createElement('li');
-    hdr.style.cssText = 'font-size:11px;font-weight:700;text-transform:uppercase;letter-spacing:.07em;color:var(--muted);padding:8px 2px 4px';
-    hdr.textContent = 'Songs';
-    ui.searchList.appendChild(hdr);
-
-    results.forEach(s => {
-      const li = document.createElement('li');
-      li.className = 'item';
-      li.innerHTML = `<div class="l"><div class="t">${escapeHtml(s.title)}</div><div class="a">${escapeHtml(s.artist)}</div></div><div class="r">▶</div>`;
-      li.addEventListener('click', () => {
-        ui.searchInput.blur();
-        const idx = allSongs.findIndex(x => x.file === s.file);
-        startFromPlaylist(allSongs, idx, 'All Songs');
-      });
-      ui.searchList.appendChild(li);
+  // Segments of the current batch, as scheduled on the audio clock
+  ui.queueBatchList.innerHTML = '';
+  player.scheduled.forEach(seg => {
+    const li = document.createElement('li');
+    li.className = 'item' + (seg === cur ? ' active' : '');
+    li.dataset.start = String(seg.startTime);
+    li.innerHTML = queueRowHtml(seg.song, `<div class="r">${seg.qitem ? 'Queued · ' : ''}<span class="q-when"></span></div>`);
+    ui.queueBatchList.appendChild(li);
+  });
+  if (!player.scheduled.length) ui.queueBatchList.innerHTML = '<li class="list-empty">Nothing scheduled.</li>';
+
+  // User queue: reorderable and removable
+  const pending = player.pendingQueue();
+  ui.queueList.innerHTML = '';
+  pending.forEach(qitem => {
+    const li = document.createElement('li');
+    li.className = 'item'; li.dataset.drag = '';
+    li.innerHTML = queueRowHtml(qitem.song, `<div class="row-actions">
+      <button class="row-btn" data-act="remove" aria-label="Remove from queue">✕</button>
+      <span class="drag-handle" aria-label="Drag to reorder">≡</span>
+    </div>`);
+    li.addEventListener('click', ev => {
+      if (ev.target.closest('.drag-handle')) return;
+      if (ev.target.closest('[data-act="remove"]')) { player.removeQueued(qitem.id); renderQueue(); render(); return; }
+      player.rebuildBatchFrom({ index: -1, song: qitem.song, ctxIndex: player.idx, qitem }, { autostart: true })
+        .then(() => { renderQueue(); render(true); })
+        .catch(e => setStatus(`Error: ${e.message}`));
     });
+    ui.queueList.appendChild(li);
+  });
+  if (!pending.length) ui.queueList.innerHTML = '<li class="list-empty">Use ↪ or ＋ on any song to queue it.</li>';
+
+  // The playlist order beyond the batch and the queue
+  const last = player.scheduled[player.scheduled.length - 1];
+  const from = last ? player.segEntry(last) : player.entryAt(player.idx);
+  const later = player.upcoming(from, 10 + player.upNext.length).filter(e => !e.qitem).slice(0, 10);
+  ui.queueLaterLabel.textContent = `Later from ${ui.playerPlaylistName.textContent}`;
+  ui.queueLaterList.innerHTML = '';
+  later.forEach(entry => {
+    const li = document.createElement('li');
+    li.className = 'item';
+    li.innerHTML = queueRowHtml(entry.song, `<div class="r">#${entry.index + 1}</div>`);
+    li.addEventListener('click', () => {
+      player.rebuildBatchFrom(entry.index, { autostart: true })
+        .then(() => { renderQueue(); render(true); })
+        .catch(e => setStatus(`Error: ${e.message}`));
+    });
+    ui.queueLaterList.appendChild(li);
+  });
+  if (!later.length) ui.queueLaterList.innerHTML = '<li class="list-empty">End of playlist.</li>';
+
+  updateQueueTimes();
+}
+
+// Refreshes the "in m:ss" countdowns on batch rows without rebuilding the list.
+// Rows are matched to segments by start time: finished segments leave the
+// front of the batch before the list is rebuilt.
+function updateQueueTimes() {
+  const now = player.ctx?.currentTime ?? 0;
+  const cur = player.getCurrent();
+  ui.queueBatchList.querySelectorAll('li[data-start]').forEach(li => {
+    const seg = player.scheduled.find(s => String(s.startTime) === li.dataset.start);
+    const when = li.querySelector('.q-when');
+    if (!seg || !when) return;
+    when.textContent = seg === cur ? 'Now' : seg.startTime > now ? `in ${fmtTime(seg.startTime - now)}` : 'Ending';
+  });
+}
+
+// Drag-to-reorder for rows marked `data-drag`, grabbed by their `.drag-handle`.
+// `onMove(from, to)` fires on drop with positions among those rows. For a
+// virtualized list, pass its VirtualList: it stops drawing during the drag and
+// the drop position comes from its row offsets, so it counts rows not drawn.
+function enableDragReorder(listEl, onMove, vlist = null) {
+  const scroller = vlist?.scroller ?? listEl;
+  let drag = null;
+  // Keeps the row under the pointer, scrolled or not, and works out where it lands
+  const follow = () => {
+    const { li } = drag;
+    li.style.transform = `translateY(${drag.y - drag.startY + scroller.scrollTop - drag.startScroll}px)`;
+    const r = li.getBoundingClientRect();
+    const center = r.top + r.height / 2;
+    if (vlist) {
+      const tops = vlist.offsets(), y = center - listEl.getBoundingClientRect().top;
+      let to = 0;
+      for (let i = 0; i < vlist.items.length; i++) if (i !== drag.from && (tops[i] + tops[i + 1]) / 2 < y) to++;
+      drag.to = to;
+      return;
+    }
+    drag.to = drag.rows.filter(row => {
+      if (row === li) return false;
+      const rr = row.getBoundingClientRect();
+      return rr.top + rr.height / 2 < center;
+    }).length;
+  };
+  listEl.addEventListener('pointerdown', ev => {
+    const handle = ev.target.closest('.drag-handle');
+    if (!handle) return;
+    const li = handle.closest('li');
+    const rows = [...listEl.querySelectorAll(':scope > li[data-drag]')];
+    ev.preventDefault();
+    handle.setPointerCapture(ev.pointerId);
+    const from = vlist ? Number(li.dataset.vindex) : rows.indexOf(li);
+    drag = { li, rows, from, to: from, startY: ev.clientY, y: ev.clientY, startScroll: scroller.scrollTop };
+    vlist?.hold();
+    li.classList.add('dragging');
+  });
+  listEl.addEventListener('pointermove', ev => {
+    if (!drag) return;
+    drag.y = ev.clientY;
+    follow();
+  });
+  scroller.addEventListener('scroll', () => { if (drag) follow(); }, { passive: true });
+  const end = () => {
+    if (!drag) return;
+    const { li, from, to } = drag;
+    drag = null;
+    li.classList.remove('dragging');
+    li.style.transform = '';
+    vlist?.release();
+    if (to !== from) onMove(from, to);
+  };
+  listEl.addEventListener('pointerup', end);
+  listEl.addEventListener('pointercancel', end);
+}
+
+enableDragReorder(ui.queueList, (from, to) => { player.moveQueued(from, to); renderQueue(); render(); });
+
+// ── Search ──
+// Songs are indexed by title and artist line (see search.js) on the first
+// search, and again once titles or tags change
+let songSearch = null;
+
+function songSearchIndex() {
+  return songSearch ??= buildSearchIndex(allSongs, [{ get: s => s.title, weight: 3 }, { get: songArtist, weight: 2 }]);
+}
+
+// `text` escaped, with the [start, end) ranges in <mark>
+function markedHtml(text, ranges = []) {
+  let html = '', at = 0;
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    if (end <= at) continue;
+    const from = Math.max(at, start);
+    html += `${escapeHtml(text.slice(at, from))}<mark>${escapeHtml(text.slice(from, end))}</mark>`;
+    at = end;
   }
+  return html + escapeHtml(text.slice(at));
+}
 
-  if (!results.length && !matchedPlaylists.length) {
-    const li = document.createElement('li');
-    li.style.cssText = 'padding:16px 2px;color:var(--muted);font-size:13px';
-    li.textContent = 'No results found.';
-    ui.searchList.appendChild(li);
+// "Has Shivers, Castle On The Hill +3 more"
+function playlistHitsLine(songs) {
+  const more = songs.length > 2 ? ` +${songs.length - 2} more` : '';
+  return `Has ${songs.slice(0, 2).map(s => s.title).join(', ')}${more}`;
+}
+
+function handleSearch(query) {
+  const q = query.trim();
+  if (!q) {
+    ui.searchPane.classList.add('hidden');
+    ui.browsePane.classList.remove('hidden');
+    return;
   }
+  ui.browsePane.classList.add('hidden');
+  ui.searchPane.classList.remove('hidden');
+
+  // Songs matching title or artist, best first
+  const results = findMatches(songSearchIndex(), q);
+
+  // User playlists by name, then those holding matching songs (most first)
+  const playlists = loadPlaylists();
+  const named = findMatches(buildSearchIndex(playlists, [{ get: p => p.name }]), q);
+  const matchedFiles = new Set(results.map(r => r.item.file));
+  const holding = playlists
+    .filter(pl => !named.some(r => r.item === pl))
+    .map(pl => ({ item: pl, hits: getPlaylistSongs(pl).filter(s => matchedFiles.has(s.file)) }))
+    .filter(r => r.hits.length)
+    .sort((a, b) => b.hits.length - a.hits.length);
+  const matchedPlaylists = [...named, ...holding];
+
+  searchRows.setItems([
+    ...(matchedPlaylists.length ? [{ header: 'Playlists' }] : []),
+    ...matchedPlaylists.map(r => ({ playlist: r.item, marks: r.marks, hits: r.hits })),
+    ...(results.length ? [{ header: 'Songs' }] : []),
+    ...results.map(r => ({ song: r.item, match: r })),
+  ], { empty: '<li style="padding:16px 2px;color:var(--muted);font-size:13px">No results found.</li>' });
 }
 
+// Rows are section headers, playlists or songs
+const searchRows = new VirtualList(ui.searchList, {
+  scroller: ui.searchList.closest('.screen-body'),
+  key: row => row.header ? `h:${row.header}` : row.playlist ? `p:${row.playlist.id}` : `s:${row.song.file}`,
+  render: (li, row) => {
+    if (row.header) {
+      li.style.cssText = 'font-size:11px;font-weight:700;text-transform:uppercase;letter-spacing:.07em;color:var(--muted);padding:8px 2px 4px';
+      li.textContent = row.header;
+      return;
+    }
+    li.className = 'item';
+    if (row.playlist) {
+      const pl = row.playlist;
+      const sub = row.hits ? playlistHitsLine(row.hits) : `${trackCount(pl)} tracks`;
+      li.innerHTML = `<div class="l"><div class="t">${markedHtml(pl.name, row.marks?.[0])}</div><div class="a">${escapeHtml(sub)}</div></div><div class="r">›</div>`;
+    } else {
+      const s = row.song, marks = row.match.marks;
+      li.innerHTML = `<div class="l"><div class="t">${offlineBadge(s)}${markedHtml(s.title, marks[0])}</div><div class="a">${markedHtml(songArtist(s), marks[1])}</div></div>${queueActionsHtml()}`;
+    }
+  },
+  onClick: (row, i, ev) => {
+    if (row.playlist) { ui.searchInput.blur(); openPlaylistDetail(row.playlist.id); return; }
+    if (!row.song || handleQueueAction(ev, row.song)) return;
+    ui.searchInput.blur();
+    startFromPlaylist(allSongs, row.match.index, 'All Songs', '__all__');
+  },
+});
+
 // ── Modal: create playlist ──
+// Songs are picked one by one, or, for a smart playlist, matched by rules
+// (see smart.js) with the matches listed live underneath.
 let pickerSelected = new Set();
+let pickerTarget = null; // playlist id when adding songs to (or editing the rules of) an existing playlist
+let pickerMode = 'songs'; // 'songs' | 'rules'
+let smartDraft = null;    // { match, rules, limit } being edited
 
-function openModal() {
+function openModal(targetId = null) {
+  const target = targetId && loadPlaylists().find(p => p.id === targetId);
+  pickerTarget = targetId;
   pickerSelected.clear();
-  ui.newPlaylistName.value = '';
+  smartDraft = target?.smart ? structuredClone(target.smart) : { match: 'all', rules: [defaultRule('artist')], limit: 0 };
+  ui.newPlaylistName.value = target?.smart ? target.name : '';
+  ui.newPlaylistName.classList.toggle('hidden', !!targetId && !target?.smart);
+  ui.pickerModes.classList.toggle('hidden', !!targetId);
+  ui.pickerTitle.textContent = target?.smart ? 'Edit Rules' : targetId ? 'Add Songs' : 'New Playlist';
   ui.pickerSearch.value = '';
-  ui.pickerCount.textContent = 'Select songs';
-  renderPickerList('');
+  setPickerMode(target?.smart ? 'rules' : 'songs');
   ui.modalNewPlaylist.classList.remove('modal-hidden');
-  setTimeout(() => ui.newPlaylistName.focus(), 80);
+  if (!targetId) setTimeout(() => ui.newPlaylistName.focus(), 80);
 }
 
 function closeModal() {
   ui.modalNewPlaylist.classList.add('modal-hidden');
 }
 
+function setPickerMode(mode) {
+  pickerMode = mode;
+  const rules = mode === 'rules';
+  ui.pickerModes.querySelectorAll('.batch-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.pick === mode));
+  ui.smartEditor.classList.toggle('hidden', !rules);
+  ui.pickerSearch.classList.toggle('hidden', rules);
+  ui.btnSavePlaylist.textContent = pickerTarget ? (rules ? 'Save' : 'Add') : 'Create';
+  if (rules) renderSmartEditor();
+  else { updatePickerCount(); renderPickerList(ui.pickerSearch.value.toLowerCase().trim()); }
+}
+
 function renderPickerList(filter) {
-  const songs = filter
-    ? allSongs.filter(s => s.title.toLowerCase().includes(filter) || s.artist.toLowerCase().includes(filter))
-    : allSongs;
+  if (pickerMode === 'rules') { renderSmartPreview(); return; }
+  // When adding to a playlist, only offer songs it doesn't have yet
+  const have = new Set(pickerTarget ? loadPlaylists().find(p => p.id === pickerTarget)?.songFiles : []);
+  const matches = filter ? findMatches(songSearchIndex(), filter) : allSongs.map(item => ({ item, marks: [] }));
+  pickerRows.setItems(matches.filter(m => !have.has(m.item.file)), { refresh: true });
+}
 
-  ui.pickerList.innerHTML = '';
-  songs.forEach(s => {
-    const sel = pickerSelected.has(s.file);
-    const li = document.createElement('li');
+// Songs to pick from, or (in rules mode) the songs the rules match
+const pickerRows = new VirtualList(ui.pickerList, {
+  key: m => m.item.file,
+  render: (li, { item: s, marks }) => {
+    const pick = pickerMode === 'songs';
+    const sel = pick && pickerSelected.has(s.file);
     li.className = 'picker-item' + (sel ? ' selected' : '');
     li.innerHTML = `
-      <div class="picker-check">${sel ? '✓' : ''}</div>
+      ${pick ? `<div class="picker-check">${sel ? '✓' : ''}</div>` : ''}
       <div class="picker-info">
-        <div class="picker-title">${escapeHtml(s.title)}</div>
-        <div class="picker-artist">${escapeHtml(s.artist)}</div>
+        <div class="picker-title">${markedHtml(s.title, marks[0])}</div>
+        <div class="picker-artist">${markedHtml(songArtist(s), marks[1])}</div>
       </div>`;
-    li.addEventListener('click', () => {
-      if (pickerSelected.has(s.file)) pickerSelected.delete(s.file);
-      else pickerSelected.add(s.file);
-      updatePickerCount();
-      renderPickerList(ui.pickerSearch.value.toLowerCase().trim());
-    });
-    ui.pickerList.appendChild(li);
-  });
-}
+  },
+  // A tap only redraws its own row
+  onClick: ({ item: s }, i) => {
+    if (pickerMode !== 'songs') return;
+    if (pickerSelected.has(s.file)) pickerSelected.delete(s.file);
+    else pickerSelected.add(s.file);
+    updatePickerCount();
+    pickerRows.refresh(i);
+  },
+});
 
 function updatePickerCount() {
   const n = pickerSelected.size;
   ui.pickerCount.textContent = n > 0 ? `${n} selected` : 'Select songs';
 }
 
+// ── Smart playlist rule editor ──
+// Playlists a rule can point at: every other one, presets included
+function ruleTargets() {
+  return [
+    ...smartPlaylists().map(def => ({ id: def.id, name: def.name })),
+    ...loadPlaylists().filter(p => p.id !== pickerTarget).map(p => ({ id: p.id, name: p.name })),
+  ];
+}
+
+function ruleValueHtml(rule) {
+  const type = SMART_FIELDS[rule.field].type;
+  const value = escapeHtml(rule.value);
+  if (type === 'number') return `<input type="number" class="input-num batch-custom" data-part="value" min="0" step="any" value="${value}" />`;
+  if (type === 'date') return `<input type="date" class="text-input rule-input" data-part="value" value="${value}" />`;
+  if (type === 'playlist') {
+    return `<select class="text-input rule-input" data-part="value">${ruleTargets().map(t =>
+      `<option value="${escapeHtml(t.id)}"${t.id === rule.value ? ' selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}</select>`;
+  }
+  return `<input type="text" class="text-input rule-input" data-part="value" value="${value}"
+    autocomplete="off" autocorrect="off" autocapitalize="off" spellcheck="false"
+    placeholder="${rule.op === 'matches' ? 'Regex' : 'Text'}" />`;
+}
+
+function renderSmartEditor() {
+  ui.smartMatch.value = smartDraft.match;
+  ui.smartLimit.value = String(smartDraft.limit || 0);
+  const fields = Object.keys(SMART_FIELDS).filter(f => !SMART_FIELDS[f].preset);
+  ui.smartRuleList.innerHTML = smartDraft.rules.map((r, i) => `
+    <li class="smart-row" data-i="${i}">
+      <select class="text-input rule-input" data-part="field" aria-label="Field">${fields.map(f =>
+        `<option value="${f}"${f === r.field ? ' selected' : ''}>${SMART_FIELDS[f].label}</option>`).join('')}</select>
+      <select class="text-input rule-input" data-part="op" aria-label="Condition">${opsFor(r.field).map(op =>
+        `<option value="${op}"${op === r.op ? ' selected' : ''}>${SMART_OPS[op].label}</option>`).join('')}</select>
+      ${ruleValueHtml(r)}
+      <span class="hint">${SMART_FIELDS[r.field].unit || ''}</span>
+      <button class="row-btn" data-act="remove-rule" aria-label="Remove rule">✕</button>
+      <div class="hint rule-error"></div>
+    </li>`).join('') || '<li class="list-empty">No rules: every song matches.</li>';
+  renderSmartPreview();
+}
+
+// Match count, matching songs and rule errors for the draft, as it's typed
+function renderSmartPreview() {
+  ui.smartRuleList.querySelectorAll('.smart-row').forEach(row => {
+    row.querySelector('.rule-error').textContent = ruleError(smartDraft.rules[row.dataset.i], smartContext) || '';
+  });
+  const songs = smartSongs(smartDraft);
+  ui.pickerCount.textContent = `${songs.length} matching track${songs.length !== 1 ? 's' : ''}`;
+  pickerRows.setItems(songs.map(item => ({ item, marks: [] })), { refresh: true });
+}
+
+function editSmartRule(ev) {
+  const part = ev.target.dataset.part;
+  const row = ev.target.closest('.smart-row');
+  if (!part || !row) return;
+  const i = Number(row.dataset.i);
+  const rule = smartDraft.rules[i];
+  if (part === 'field') {
+    // Another field takes other ops and values: start that rule afresh
+    smartDraft.rules[i] = defaultRule(ev.target.value, { playlistId: ruleTargets()[0]?.id });
+    renderSmartEditor();
+    return;
+  }
+  if (part === 'op') rule.op = ev.target.value;
+  else rule.value = SMART_FIELDS[rule.field].type === 'number' ? Number(ev.target.value) : ev.target.value;
+  if (part === 'op' && SMART_FIELDS[rule.field].type === 'text') {
+    row.querySelector('[data-part="value"]').placeholder = rule.op === 'matches' ? 'Regex' : 'Text';
+  }
+  renderSmartPreview();
+}
+
 function savePlaylist() {
+  if (pickerMode === 'rules') { saveSmartPlaylist(); return; }
+  if (pickerTarget) {
+    if (pickerSelected.size === 0) { alert('Pick at least one song.'); return; }
+    const added = allSongs.filter(s => pickerSelected.has(s.file)).map(s => s.file);
+    editPlaylistFiles(pickerTarget, files => [...files, ...added]);
+    closeModal();
+    return;
+  }
+
   const name = ui.newPlaylistName.value.trim();
   if (!name) { ui.newPlaylistName.focus(); return; }
   if (pickerSelected.size === 0) { alert('Pick at least one song.'); return; }
@@ -711,19 +2681,443 @@ function savePlaylist() {
   renderHome();
 }
 
+function saveSmartPlaylist() {
+  const name = ui.newPlaylistName.value.trim();
+  if (!name) { ui.newPlaylistName.focus(); return; }
+  if (smartDraft.rules.some(r => ruleError(r, smartContext))) { alert('Fix the rules marked in red first.'); return; }
+  const smart = { match: smartDraft.match, rules: smartDraft.rules, limit: smartDraft.limit };
+  if (pickerTarget) {
+    updatePlaylist(pickerTarget, { name, smart });
+    syncPlayingPlaylist(pickerTarget);
+    if (navStack[navStack.length - 1] === 'screenDetail') openPlaylistDetail(activePlaylistId);
+  } else {
+    createPlaylist(name, [], smart);
+  }
+  closeModal();
+  renderHome();
+}
+
+// ── Modal: library tools ──
+function openTools()  { ui.modalTools.classList.remove('modal-hidden'); }
+function closeTools() { ui.modalTools.classList.add('modal-hidden'); }
+
+ui.toolList.addEventListener('click', ev => {
+  const item = ev.target.closest('[data-tool]');
+  if (!item) return;
+  closeTools();
+  if (item.dataset.tool === 'rules') openRulesModal();
+  if (item.dataset.tool === 'dupes') openDuplicates();
+  if (item.dataset.tool === 'export') openExportModal();
+});
+
+// ── Modal: title cleanup rules ──
+let rulesDraft = null;
+
+function openRulesModal() {
+  rulesDraft = structuredClone(loadTitleRules());
+  ui.rulePattern.value = '';
+  ui.ruleReplace.value = '';
+  renderRuleList();
+  renderRulePreview();
+  ui.modalRules.classList.remove('modal-hidden');
+}
+
+function closeRulesModal() {
+  ui.modalRules.classList.add('modal-hidden');
+}
+
+// The typed-but-not-yet-added rule, so the preview follows along; null when blank or invalid
+function pendingRule() {
+  const pattern = ui.rulePattern.value;
+  if (!pattern) return null;
+  const rule = { pattern, replace: ui.ruleReplace.value, flags: 'gi', enabled: true };
+  try { compileRule(rule); return rule; } catch { return null; }
+}
+
+function renderRuleList() {
+  ui.ruleList.innerHTML = '';
+  BUILTIN_RULES.forEach(r => {
+    const on = !rulesDraft.disabled.includes(r.id);
+    const li = document.createElement('li');
+    li.className = 'picker-item' + (on ? ' selected' : '');
+    li.innerHTML = `
+      <div class="picker-check">${on ? '✓' : ''}</div>
+      <div class="picker-info">
+        <div class="picker-title">${escapeHtml(r.label)}</div>
+        <div class="picker-artist">Built-in</div>
+      </div>`;
+    li.addEventListener('click', () => {
+      rulesDraft.disabled = on ? [...rulesDraft.disabled, r.id] : rulesDraft.disabled.filter(id => id !== r.id);
+      renderRuleList();
+      renderRulePreview();
+    });
+    ui.ruleList.appendChild(li);
+  });
+
+  rulesDraft.userRules.forEach((r, i) => {
+    const on = r.enabled !== false;
+    let error = '';
+    try { compileRule(r); } catch (e) { error = e.message; }
+    const li = document.createElement('li');
+    li.className = 'picker-item' + (on ? ' selected' : '');
+    li.innerHTML = `
+      <div class="picker-check">${on ? '✓' : ''}</div>
+      <div class="picker-info">
+        <div class="picker-title mono">/${escapeHtml(r.pattern)}/ → “${escapeHtml(r.replace || '')}”</div>
+        <div class="picker-artist${error ? ' rule-error' : ''}">${escapeHtml(error || 'Your rule')}</div>
+      </div>
+      <button class="row-btn rule-del" aria-label="Delete rule">✕</button>`;
+    li.addEventListener('click', ev => {
+      if (ev.target.closest('.rule-del')) rulesDraft.userRules.splice(i, 1);
+      else r.enabled = !on;
+      renderRuleList();
+      renderRulePreview();
+    });
+    ui.ruleList.appendChild(li);
+  });
+}
+
+function renderRulePreview() {
+  const songs = allSongs.filter(s => s.name);
+  const names = songs.map(s => s.name);
+  const draft = pendingRule();
+  ui.rulePattern.classList.toggle('rule-error', !!ui.rulePattern.value && !draft);
+
+  const rules = draft ? { ...rulesDraft, userRules: [...rulesDraft.userRules, draft] } : rulesDraft;
+  const before = cleanTitles(names, loadTitleRules());
+  const after = cleanTitles(names, rules);
+
+  let changed = 0;
+  ui.rulePreview.innerHTML = '';
+  songs.forEach((s, i) => {
+    const m = after[i];
+    const isChanged = m.title !== before[i].title || songArtist(m) !== songArtist(before[i]);
+    if (isChanged) changed++;
+    const li = document.createElement('li');
+    li.className = 'picker-item' + (isChanged ? ' changed' : '');
+    li.innerHTML = `
+      <div class="picker-info">
+        <div class="preview-from">${escapeHtml(s.name)}</div>
+        <div class="picker-title">${escapeHtml(m.title || s.name)}</div>
+        <div class="picker-artist">${escapeHtml(songArtist(m))}</div>
+      </div>`;
+    ui.rulePreview.appendChild(li);
+  });
+  ui.rulePreviewLabel.textContent = changed ? `Preview · ${changed} change${changed !== 1 ? 's' : ''}` : 'Preview';
+}
+
+function addPendingRule() {
+  const rule = pendingRule();
+  if (!rule) { if (ui.rulePattern.value) ui.rulePattern.focus(); return false; }
+  rulesDraft.userRules.push(rule);
+  ui.rulePattern.value = '';
+  ui.ruleReplace.value = '';
+  renderRuleList();
+  renderRulePreview();
+  return true;
+}
+
+async function saveRules() {
+  addPendingRule();
+  saveTitleRules(rulesDraft);
+  closeRulesModal();
+  await relabelLibrary();
+  showToast('Song titles updated.');
+}
+
+// ── Modal: import / export ──
+let exportSelected = new Set();
+let exportFormat = 'm3u8';
+
+function openExportModal(ids = null) {
+  exportSelected = new Set(ids || loadPlaylists().map(p => p.id));
+  ui.importReport.classList.add('hidden');
+  renderExportList();
+  ui.modalExport.classList.remove('modal-hidden');
+}
+
+function closeExportModal() {
+  ui.modalExport.classList.add('modal-hidden');
+}
+
+function renderExportList() {
+  const pls = loadPlaylists();
+  ui.exportList.innerHTML = '';
+  pls.forEach(pl => {
+    const sel = exportSelected.has(pl.id);
+    const n = trackCount(pl);
+    const li = document.createElement('li');
+    li.className = 'picker-item' + (sel ? ' selected' : '');
+    li.innerHTML = `
+      <div class="picker-check">${sel ? '✓' : ''}</div>
+      <div class="picker-info">
+        <div class="picker-title">${escapeHtml(pl.name)}</div>
+        <div class="picker-artist">${n} track${n !== 1 ? 's' : ''}</div>
+      </div>`;
+    li.addEventListener('click', () => {
+      if (sel) exportSelected.delete(pl.id); else exportSelected.add(pl.id);
+      renderExportList();
+    });
+    ui.exportList.appendChild(li);
+  });
+  if (!pls.length) ui.exportList.innerHTML = '<li class="list-empty">No playlists yet.</li>';
+
+  const n = pls.filter(p => exportSelected.has(p.id)).length;
+  ui.exportCount.textContent = n ? `Export ${n}` : 'Export';
+  document.querySelectorAll('#exportFormats .batch-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.fmt === exportFormat);
+  });
+}
+
+// Every entry of a playlist, including files no longer in the library, so an
+// export never loses anything. A smart playlist exports what it matches now.
+function exportSongs(pl) {
+  if (pl.smart) return getPlaylistSongs(pl);
+  const byFile = new Map(allSongs.map(s => [s.file, s]));
+  return pl.songFiles.map(f => byFile.get(f) || { file: f, title: decodeURIComponent(f.split('/').pop()), artist: '' });
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function safeFilename(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'playlist';
+}
+
+function exportPlaylists() {
+  const pls = loadPlaylists().filter(p => exportSelected.has(p.id));
+  if (!pls.length) { alert('Pick at least one playlist.'); return; }
+  const lists = pls.map(pl => ({ name: pl.name, createdAt: pl.createdAt, songs: exportSongs(pl) }));
+
+  if (exportFormat === 'json') {
+    const name = lists.length === 1 ? safeFilename(lists[0].name) : `walkplayer-playlists-${new Date().toISOString().slice(0, 10)}`;
+    downloadFile(`${name}.json`, toBackup(lists), 'application/json');
+  } else {
+    // M3U8 and PLS hold a single playlist per file
+    for (const pl of lists) {
+      if (exportFormat === 'pls') downloadFile(`${safeFilename(pl.name)}.pls`, toPLS(pl.name, pl.songs), 'audio/x-scpls');
+      else downloadFile(`${safeFilename(pl.name)}.m3u8`, toM3U8(pl.name, pl.songs), 'audio/x-mpegurl');
+    }
+  }
+  showToast(`Exported ${lists.length} playlist${lists.length !== 1 ? 's' : ''}.`);
+}
+
+function uniquePlaylistName(name) {
+  const taken = new Set(loadPlaylists().map(p => p.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+// Creates a playlist per imported list from whatever matched the library and
+// reports every entry that didn't
+async function importPlaylistFiles(files) {
+  const report = [];
+  for (const file of files) {
+    let lists;
+    try { lists = parsePlaylistFile(await file.text(), file.name); }
+    catch (e) { report.push({ name: file.name, error: e.message }); continue; }
+
+    for (const { name, entries } of lists) {
+      const matched = matchEntries(entries, allSongs);
+      const songFiles = [...new Set(matched.filter(m => m.song).map(m => m.song.file))];
+      const unmatched = matched.filter(m => !m.song).map(m => m.entry);
+      if (songFiles.length) createPlaylist(uniquePlaylistName(name), songFiles);
+      report.push({ name, matched: matched.length - unmatched.length, total: entries.length, unmatched });
+    }
+  }
+  renderImportReport(report);
+  renderExportList();
+  renderHome();
+}
+
+function renderImportReport(report) {
+  const entryLabel = e => e.title ? (e.artist ? `${e.artist} - ${e.title}` : e.title) : e.path;
+  ui.importReport.innerHTML = report.map(r => {
+    if (r.error) return `<div><strong>${escapeHtml(r.name)}</strong> — <span class="rule-error">${escapeHtml(r.error)}</span></div>`;
+    const head = r.matched
+      ? `${r.matched} of ${r.total} song${r.total !== 1 ? 's' : ''} matched`
+      : 'no songs matched, nothing imported';
+    const missing = r.unmatched.length
+      ? `<ul>${r.unmatched.map(e => `<li>${escapeHtml(entryLabel(e))}</li>`).join('')}</ul>`
+      : '';
+    return `<div><strong>${escapeHtml(r.name)}</strong> — ${head}</div>${missing}`;
+  }).join('');
+  ui.importReport.classList.remove('hidden');
+}
+
+// ── Duplicates ──
+const DUPES_IGNORED_KEY = 'walkplayer_dupes_ignored';
+const probeCache = new Map(); // file → { size, duration, print }
+let dupeGroups = [];          // [{ id, files, reasons, keeper }]
+let dupeScanGen = 0;
+let decodeCtx = null;
+
+function loadIgnoredDupes() {
+  try { return new Set(JSON.parse(localStorage.getItem(DUPES_IGNORED_KEY) || '[]')); } catch { return new Set(); }
+}
+
+// File size from a HEAD request; null when the file can't be fetched
+async function probeSize(file) {
+  const res = await fetch(file, { method: 'HEAD' }).catch(() => null);
+  if (!res?.ok) return null;
+  return Number(res.headers.get('content-length')) || 0;
+}
+
+// Decodes outside the player so analysis never touches the playback graph
+async function decodeForAnalysis(file) {
+  const res = await fetch(file);
+  if (!res.ok) throw new Error(`Failed to fetch ${file}: ${res.status}`);
+  const arr = await res.arrayBuffer();
+  decodeCtx ||= new OfflineAudioContext(1, 1, 44100);
+  return new Promise((resolve, reject) => decodeCtx.decodeAudioData(arr, resolve, reject));
+}
+
+function openDuplicates() {
+  navigateTo('screenDupes');
+  if (!dupeGroups.length) scanDuplicates();
+  else renderDupes();
+}
+
+async function scanDuplicates() {
+  const gen = ++dupeScanGen;
+  const useAudio = ui.dupeAudio.checked;
+  const songs = allSongs.filter(s => s.file);
+  const probe = s => {
+    if (!probeCache.has(s.file)) probeCache.set(s.file, { size: undefined, duration: null, print: null });
+    return probeCache.get(s.file);
+  };
+
+  ui.dupeList.innerHTML = '';
+  ui.dupeStatus.textContent = 'Checking files…';
+  await mapLimit(songs, 4, async s => {
+    const p = probe(s);
+    if (p.size === undefined) p.size = await probeSize(s.file);
+  });
+  if (gen !== dupeScanGen) return;
+
+  // Decoding is the slow part: without audio comparison, only songs that
+  // already share a name or a file size with another one get decoded
+  const keyCount = new Map(), sizeCount = new Map();
+  const bump = (m, k) => m.set(k, (m.get(k) || 0) + 1);
+  for (const s of songs) {
+    bump(keyCount, duplicateKey(s.title, s.artist));
+    if (probe(s).size) bump(sizeCount, probe(s).size);
+  }
+  const toDecode = songs.filter(s => {
+    const p = probe(s);
+    if (p.size == null || (p.duration != null && (!useAudio || p.print))) return false;
+    return useAudio || keyCount.get(duplicateKey(s.title, s.artist)) > 1 || sizeCount.get(p.size) > 1;
+  });
+
+  let done = 0;
+  await mapLimit(toDecode, 1, async s => {
+    if (gen !== dupeScanGen) return;
+    ui.dupeStatus.textContent = `Analysing audio… ${++done}/${toDecode.length}`;
+    try {
+      const buf = await decodeForAnalysis(s.file);
+      const p = probe(s);
+      p.duration = buf.duration;
+      if (useAudio) p.print = fingerprint(buf);
+    } catch {}
+  });
+  if (gen !== dupeScanGen) return;
+
+  const items = songs.map(s => ({ file: s.file, key: duplicateKey(s.title, s.artist), ...probe(s) }));
+  if (!useAudio) items.forEach(it => { it.print = null; });
+  const byFile = new Map(items.map(it => [it.file, it]));
+  const ignored = loadIgnoredDupes();
+  dupeGroups = findDuplicates(items)
+    .map(g => ({ ...g, id: [...g.files].sort().join('\n') }))
+    .filter(g => !ignored.has(g.id))
+    .map(g => ({ ...g, keeper: pickKeeper(g.files.map(f => byFile.get(f))) }));
+  renderDupes();
+}
+
+function renderDupes() {
+  const n = dupeGroups.length;
+  ui.dupeStatus.textContent = n ? `${n} possible duplicate${n !== 1 ? 's' : ''}` : 'No duplicates found';
+
+  // How many playlists point at each file, so applying a choice is visible
+  const refs = new Map();
+  for (const pl of loadPlaylists()) for (const f of new Set(pl.songFiles)) refs.set(f, (refs.get(f) || 0) + 1);
+
+  ui.dupeList.innerHTML = '';
+  dupeGroups.forEach(g => {
+    const group = document.createElement('li');
+    group.className = 'dupe-group';
+    group.innerHTML = `
+      <div class="dupe-head">
+        <span>${escapeHtml(g.reasons.join(' · '))}</span>
+        <button class="btn subtle" data-act="ignore">Not duplicates</button>
+      </div>`;
+    group.querySelector('[data-act="ignore"]').addEventListener('click', () => {
+      const ignored = loadIgnoredDupes();
+      ignored.add(g.id);
+      localStorage.setItem(DUPES_IGNORED_KEY, JSON.stringify([...ignored]));
+      dupeGroups = dupeGroups.filter(x => x !== g);
+      renderDupes();
+    });
+
+    g.files.forEach(file => {
+      const song = allSongs.find(s => s.file === file);
+      const p = probeCache.get(file) || {};
+      const keep = file === g.keeper;
+      const count = refs.get(file) || 0;
+      const facts = p.size == null
+        ? '<span class="dupe-missing">File missing</span>'
+        : escapeHtml([
+            p.size ? `${(p.size / 1048576).toFixed(1)} MB` : '',
+            p.duration != null ? fmtTime(p.duration) : '',
+            `in ${count} playlist${count !== 1 ? 's' : ''}`,
+          ].filter(Boolean).join(' · '));
+      const row = document.createElement('div');
+      row.className = 'picker-item' + (keep ? ' selected' : '');
+      row.innerHTML = `
+        <div class="picker-check">${keep ? '✓' : ''}</div>
+        <div class="picker-info">
+          <div class="picker-title">${escapeHtml(song?.title || file)}</div>
+          <div class="preview-from">${escapeHtml(song?.name || decodeURIComponent(file))}</div>
+          <div class="picker-artist">${facts}</div>
+        </div>`;
+      row.addEventListener('click', () => { g.keeper = file; renderDupes(); });
+      group.appendChild(row);
+    });
+    ui.dupeList.appendChild(group);
+  });
+}
+
+// Repoints every playlist at each group's chosen copy
+function applyDupes() {
+  const map = new Map();
+  for (const g of dupeGroups) for (const f of g.files) if (f !== g.keeper) map.set(f, g.keeper);
+  const changed = remapPlaylistFiles(map);
+  renderDupes();
+  renderHome();
+  showToast(changed ? `Updated ${changed} playlist${changed !== 1 ? 's' : ''}.` : 'Playlists already use these copies.');
+}
+
 // ── Batch size controls ──
 let currentBatchSize = 5;
 
 function applyBatchSize(val) {
   currentBatchSize = val;
   player.setBatchSize(val);
-  document.querySelectorAll('.batch-btn').forEach(btn => {
+  document.querySelectorAll('.batch-btn[data-val]').forEach(btn => {
     btn.classList.toggle('active', Number(btn.dataset.val) === val);
   });
   if (ui.batchCustom.value !== String(val)) ui.batchCustom.value = val;
 }
 
-document.querySelectorAll('.batch-btn').forEach(btn => {
+document.querySelectorAll('.batch-btn[data-val]').forEach(btn => {
   btn.addEventListener('click', async () => {
     const val = Math.max(1, parseInt(btn.dataset.val, 10));
     applyBatchSize(val);
@@ -743,6 +3137,390 @@ ui.batchCustom.addEventListener('change', async (ev) => {
   }
 });
 
+// ── Shuffle / repeat (saved per playlist) ──
+const MODES_KEY = 'walkplayer_play_modes';
+const REPEAT_CYCLE = { all: 'one', one: 'off', off: 'all' };
+
+function loadPlayModes(playlistId) {
+  try { return JSON.parse(localStorage.getItem(MODES_KEY) || '{}')[playlistId] || {}; } catch { return {}; }
+}
+function savePlayModes(playlistId, modes) {
+  let all;
+  try { all = JSON.parse(localStorage.getItem(MODES_KEY) || '{}'); } catch { all = {}; }
+  all[playlistId] = modes;
+  localStorage.setItem(MODES_KEY, JSON.stringify(all));
+}
+
+function renderModeButtons() {
+  ui.btnShuffle.classList.toggle('active', player.shuffle);
+  ui.btnShuffle.setAttribute('aria-pressed', String(player.shuffle));
+  ui.btnRepeat.classList.toggle('active', player.repeat !== 'off');
+  ui.btnRepeat.querySelector('span').textContent = player.repeat === 'one' ? '🔂' : '🔁';
+  ui.btnRepeat.setAttribute('aria-label', `Repeat: ${player.repeat}`);
+}
+
+function changePlayModes(patch) {
+  const modes = { shuffle: player.shuffle, seed: player.shuffleSeed, repeat: player.repeat, ...patch };
+  player.setModes(modes);
+  savePlayModes(playingPlaylistId, modes);
+  renderModeButtons();
+  player.rescheduleUpcoming();
+  render();
+}
+
+ui.btnShuffle.addEventListener('click', () => {
+  // A fresh seed each time shuffle is switched on
+  changePlayModes(player.shuffle
+    ? { shuffle: false }
+    : { shuffle: true, seed: (Math.random() * 2 ** 32) >>> 0 });
+});
+ui.btnRepeat.addEventListener('click', () => changePlayModes({ repeat: REPEAT_CYCLE[player.repeat] }));
+
+// ── Crossfade control ──
+const CROSSFADE_KEY = 'walkplayer_crossfade';
+
+function applyCrossfade(sec) {
+  player.setCrossfade(sec);
+  ui.crossfadeRange.value = String(player.crossfade);
+  ui.crossfadeVal.textContent = player.crossfade > 0 ? `${player.crossfade}s` : 'Off';
+}
+
+ui.crossfadeRange.addEventListener('input', ev => applyCrossfade(Number(ev.target.value)));
+ui.crossfadeRange.addEventListener('change', () => {
+  localStorage.setItem(CROSSFADE_KEY, String(player.crossfade));
+  if (player.scheduled.length) setStatus('Crossfade applies from the next rebuild.');
+});
+
+// ── Playback speed ──
+const SPEED_KEY = 'walkplayer_speed';
+
+function loadSpeed() {
+  let saved = null;
+  try { saved = JSON.parse(localStorage.getItem(SPEED_KEY)); } catch {}
+  const rate = Number(saved?.rate);
+  return { rate: rate >= 0.5 && rate <= 2 ? rate : 1, keepPitch: saved?.keepPitch !== false };
+}
+
+function renderSpeed(rate) {
+  ui.speedRange.value = String(rate);
+  ui.speedVal.textContent = `${Number(rate.toFixed(2))}×`;
+}
+
+async function applySpeed(rate, keepPitch) {
+  renderSpeed(rate);
+  ui.keepPitch.checked = keepPitch;
+  try { await player.setRate(rate, keepPitch); render(true); }
+  catch (e) { setStatus(`Error: ${e.message}`); }
+}
+
+function saveSpeed() {
+  localStorage.setItem(SPEED_KEY, JSON.stringify({ rate: player.rate, keepPitch: player.keepPitch }));
+}
+
+// Dragging only moves the label; the speed changes on release, since each change restarts the track
+ui.speedRange.addEventListener('input', ev => renderSpeed(Number(ev.target.value)));
+ui.speedRange.addEventListener('change', async ev => { await applySpeed(Number(ev.target.value), ui.keepPitch.checked); saveSpeed(); });
+ui.keepPitch.addEventListener('change', async () => { await applySpeed(player.rate, ui.keepPitch.checked); saveSpeed(); });
+
+// ── Walk mode ──
+// Cadence comes from the accelerometer, or from tapping along with your
+// steps; a tap tempo outranks the sensor for a minute. The next few tracks are
+// re-sorted when the cadence moves, the track changes, or new tempos are known.
+const TAP_HOLD_MS      = 60 * 1000;
+const CADENCE_STEP     = 4;    // steps/min of drift before re-sorting
+const CADENCE_EVERY_MS = 2000; // between estimates from the accelerometer
+
+const walk = {
+  on: false, motion: false,
+  samples: [], estimatedAt: 0, motionSpm: null,
+  taps: [], tapSpm: null, tappedAt: 0,
+  matchedSpm: null, analyzing: false, unreadable: new Set(), // or not MP3s: measured as they play
+};
+
+function walkCadence() {
+  if (walk.tapSpm && performance.now() - walk.tappedAt < TAP_HOLD_MS) return walk.tapSpm;
+  return walk.motionSpm ?? walk.tapSpm;
+}
+
+function onMotion(ev) {
+  const a = ev.accelerationIncludingGravity;
+  if (a?.x == null) return;
+  const t = ev.timeStamp;
+  walk.samples.push({ t, x: a.x, y: a.y, z: a.z });
+  while (t - walk.samples[0].t > CADENCE_WINDOW_MS) walk.samples.shift();
+  if (t - walk.estimatedAt < CADENCE_EVERY_MS) return;
+  walk.estimatedAt = t;
+  walk.motionSpm = stepCadence(walk.samples)?.spm ?? null;
+  cadenceChanged();
+}
+
+function cadenceChanged() {
+  const spm = walkCadence();
+  if (spm && (walk.matchedSpm == null || Math.abs(spm - walk.matchedSpm) >= CADENCE_STEP)) matchCadence();
+  renderWalk();
+}
+
+function matchCadence() {
+  const spm = walkCadence();
+  if (!walk.on || !spm) return;
+  walk.matchedSpm = spm;
+  if (player.matchCadence(spm)) setStatus(`Walk mode: next tracks picked for ${Math.round(spm)} steps/min.`);
+}
+
+// Measures upcoming tracks with no known tempo, one at a time, so walk mode
+// has tempos to sort by. Only the stretch of each that detectBpm reads is
+// decoded, and nothing is kept, so the batch's cache and budget are left
+// alone; tracks already decoded are measured by analyzeTrack. Stops with the
+// batch's loads.
+async function analyzeAhead() {
+  if (walk.analyzing || !player.ctx) return;
+  walk.analyzing = true;
+  const signal = player.loads.signal;
+  let found = 0;
+  try {
+    for (const idx of player.lookahead()) {
+      const file = player.songs[idx]?.file;
+      if (!walk.on || signal.aborted) break;
+      if (!file || tempoCache.has(file) || player.bufferCache.has(file) || walk.unreadable.has(file)) continue;
+      try {
+        const excerpt = await player.decodeExcerpt(file, BPM_WINDOW_SEC, signal);
+        if (!excerpt) { walk.unreadable.add(file); continue; }
+        whenIdle(() => { if (!tempoCache.has(file)) rememberTempo(file, detectBpm(excerpt)); });
+        found++;
+      } catch {
+        if (signal.aborted) break;
+        walk.unreadable.add(file);
+      }
+    }
+  } finally { walk.analyzing = false; }
+  // Measurements run at idle time; re-pick once they're in
+  if (found) whenIdle(matchCadence);
+}
+
+async function setWalkMode(on) {
+  walk.on = on;
+  if (on && !walk.motion && 'DeviceMotionEvent' in window) {
+    try {
+      // iOS asks first, and only from a tap
+      if (typeof DeviceMotionEvent.requestPermission === 'function' && await DeviceMotionEvent.requestPermission() !== 'granted') throw new Error('Motion access denied');
+      window.addEventListener('devicemotion', onMotion);
+      walk.motion = true;
+    } catch {}
+  } else if (!on && walk.motion) {
+    window.removeEventListener('devicemotion', onMotion);
+    Object.assign(walk, { motion: false, samples: [], motionSpm: null });
+  }
+  walk.matchedSpm = null;
+  renderWalk();
+  if (on) { matchCadence(); analyzeAhead(); }
+}
+
+function renderWalk() {
+  ui.btnWalk.classList.toggle('active', walk.on);
+  ui.btnWalk.textContent = walk.on ? 'On' : 'Off';
+  ui.btnTapTempo.disabled = !walk.on;
+  if (!walk.on) { ui.walkInfo.textContent = 'Picks the next tracks to match your step rate.'; return; }
+  const spm = walkCadence();
+  const cur = player.getCurrent();
+  const bpm = cur && tempoCache.get(cur.song.file)?.bpm;
+  ui.walkInfo.textContent = [
+    spm ? `${Math.round(spm)} steps/min` : walk.motion ? 'Start walking, or tap your steps' : 'Tap along with your steps',
+    bpm ? `track ${Math.round(bpm)} BPM` : null,
+  ].filter(Boolean).join(' · ');
+}
+
+ui.btnWalk.addEventListener('click', () => setWalkMode(!walk.on));
+
+ui.btnTapTempo.addEventListener('click', () => {
+  const now = performance.now();
+  walk.taps.push(now);
+  if (walk.taps.length > 16) walk.taps.shift();
+  const spm = tapTempo(walk.taps);
+  if (spm >= CADENCE_MIN && spm <= CADENCE_MAX) { walk.tapSpm = spm; walk.tappedAt = now; cadenceChanged(); }
+});
+
+// ── Sleep timer ──
+// Not saved: a timer left over from last night shouldn't stop today's walk
+async function applySleep(value) {
+  if (value === 'off') { player.setSleep(null); renderSleep(); return; }
+  if (value === 'walk') return;
+  await player.ensureContext();
+  const cur = player.getCurrent();
+  const last = player.scheduled[player.scheduled.length - 1];
+  if (value === 'track' || value === 'batch') {
+    if (!cur) { setStatus('Sleep timer: nothing is playing.'); player.setSleep(null); renderSleep(); return; }
+    player.setSleep(value === 'track' ? { mode: 'track', seg: cur } : { mode: 'entry', entry: player.segEntry(last) });
+  } else {
+    player.setSleep({ mode: 'minutes', at: player.ctx.currentTime + Number(value) * 60 });
+  }
+  renderSleep();
+}
+
+function renderSleep() {
+  if (!player.sleep) ui.sleepSelect.value = 'off';
+  ui.sleepInfo.textContent = sleepHint();
+}
+
+// Time left once the stop is scheduled; until then, the track it waits for
+function sleepHint() {
+  const s = player.sleep;
+  if (!s) return 'Fades out and pauses.';
+  const end = player.sleepEnd();
+  if (end == null) return s.entry ? `Pauses after “${s.entry.song.title}”.` : 'Fades out and pauses.';
+  const running = player.isPlaying && player.ctx.state === 'running';
+  return `Pauses in ${fmtTime(Math.max(0, end - player.ctx.currentTime))}` + (running ? '' : ' (on hold while paused)');
+}
+
+ui.sleepSelect.addEventListener('change', ev => applySleep(ev.target.value));
+
+ui.btnPlanWalk.addEventListener('click', async () => {
+  const minutes = Math.max(5, Math.min(240, Number(ui.planMinutes.value) || 30));
+  ui.planMinutes.value = String(minutes);
+  if (!SONGS.length) return;
+  const plan = player.planWalk(minutes * 60);
+  if (!plan.entries.length) { ui.planInfo.textContent = 'No upcoming tracks with a known length.'; return; }
+  ui.planInfo.textContent = `${plan.entries.length} track(s) · ${fmtTime(plan.total)} for a ${minutes} min walk.`;
+  ui.sleepSelect.value = 'walk';
+  try { await player.startWalk(plan); render(true); }
+  catch (e) { setStatus(`Error: ${e.message}`); }
+});
+
+// ── Volume leveling ──
+const NORMALIZE_KEY = 'walkplayer_normalize';
+const NORMALIZE_MODES = ['off', 'track', 'album'];
+
+function applyNormalize(mode) {
+  player.setNormalize(NORMALIZE_MODES.includes(mode) ? mode : 'track');
+  document.querySelectorAll('.batch-btn[data-norm]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.norm === player.normalize);
+  });
+}
+
+// What the playing track gets, shown under the setting
+function normalizeHint(seg) {
+  if (player.normalize === 'off') return 'Tracks play at their recorded volume.';
+  const level = seg && trackLoudness(seg.song.file)?.lufs;
+  if (level == null) return `Evens out volume between tracks (${TARGET_LUFS} LUFS).`;
+  return `${fmtDb(Math.round(seg.normDb * 10) / 10)} dB applied · track measures ${level.toFixed(1)} LUFS`;
+}
+
+document.querySelectorAll('.batch-btn[data-norm]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    applyNormalize(btn.dataset.norm);
+    localStorage.setItem(NORMALIZE_KEY, player.normalize);
+  });
+});
+
+// ── Equalizer ──
+// One default setting, plus optional ones tied to a playlist that take over
+// while it plays. Settings are { preset, gains } (see eq.js).
+const EQ_KEY           = 'walkplayer_eq';
+const EQ_CUSTOM_KEY    = 'walkplayer_eq_custom';    // { name: gains }
+const EQ_PLAYLISTS_KEY = 'walkplayer_eq_playlists'; // { playlistId: setting }
+let eqSetting = FLAT_EQ;
+
+function loadCustomEq() {
+  try { return JSON.parse(localStorage.getItem(EQ_CUSTOM_KEY) || '{}'); } catch { return {}; }
+}
+function loadPlaylistEqs() {
+  try { return JSON.parse(localStorage.getItem(EQ_PLAYLISTS_KEY) || '{}'); } catch { return {}; }
+}
+function loadDefaultEq() {
+  try { return JSON.parse(localStorage.getItem(EQ_KEY) || 'null') || FLAT_EQ; } catch { return FLAT_EQ; }
+}
+
+function activeEq() { return loadPlaylistEqs()[playingPlaylistId] || loadDefaultEq(); }
+function eqPresets() { return { ...EQ_PRESETS, ...loadCustomEq() }; }
+
+function applyEq(setting) {
+  eqSetting = { preset: setting.preset ?? null, gains: normalizeGains(setting.gains) };
+  player.setEq(eqSetting.gains);
+  renderEq();
+}
+
+// Stores the applied setting where it came from: the playing playlist's own, or the default
+function saveEq() {
+  const own = loadPlaylistEqs();
+  if (own[playingPlaylistId]) {
+    own[playingPlaylistId] = eqSetting;
+    localStorage.setItem(EQ_PLAYLISTS_KEY, JSON.stringify(own));
+  } else localStorage.setItem(EQ_KEY, JSON.stringify(eqSetting));
+}
+
+function fmtDb(db) { return db > 0 ? `+${db}` : String(db); }
+
+function buildEqBands() {
+  ui.eqBands.innerHTML = EQ_BANDS.map((freq, i) => `
+    <label class="eq-band">
+      <span class="eq-gain" data-gain="${i}">0</span>
+      <input type="range" class="eq-slider" data-band="${i}" min="${-EQ_RANGE}" max="${EQ_RANGE}" step="0.5" value="0"
+             aria-label="${bandLabel(freq)}Hz band, decibels" />
+      <span class="eq-freq">${bandLabel(freq)}</span>
+    </label>`).join('');
+}
+
+function renderEq() {
+  const custom = loadCustomEq();
+  const known = eqSetting.preset && eqPresets()[eqSetting.preset];
+  const option = name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`;
+  ui.eqPreset.innerHTML = (known ? '' : '<option value="">Custom</option>') +
+    Object.keys(EQ_PRESETS).map(option).join('') +
+    (Object.keys(custom).length ? `<optgroup label="Saved">${Object.keys(custom).map(option).join('')}</optgroup>` : '');
+  ui.eqPreset.value = known ? eqSetting.preset : '';
+
+  ui.eqBands.querySelectorAll('.eq-slider').forEach(el => {
+    const i = Number(el.dataset.band);
+    el.value = String(eqSetting.gains[i]);
+    ui.eqBands.querySelector(`[data-gain="${i}"]`).textContent = fmtDb(eqSetting.gains[i]);
+  });
+
+  const own = !!loadPlaylistEqs()[playingPlaylistId];
+  const name = playlistContext(playingPlaylistId)?.name;
+  ui.eqForPlaylist.checked = own;
+  ui.eqHint.textContent = own && name ? `Used whenever "${name}" plays.` : 'Applies to everything you play.';
+  ui.btnEqDelete.classList.toggle('hidden', !(eqSetting.preset && eqSetting.preset in custom));
+}
+
+ui.eqPreset.addEventListener('change', () => {
+  const gains = eqPresets()[ui.eqPreset.value];
+  if (!gains) return;
+  applyEq({ preset: ui.eqPreset.value, gains });
+  saveEq();
+});
+ui.eqBands.addEventListener('input', ev => {
+  const band = ev.target.dataset?.band;
+  if (band === undefined) return;
+  const gains = [...eqSetting.gains];
+  gains[Number(band)] = Number(ev.target.value);
+  applyEq({ preset: null, gains });
+});
+ui.eqBands.addEventListener('change', saveEq);
+ui.btnEqSave.addEventListener('click', () => {
+  const name = prompt('Name for this EQ curve:', '')?.trim();
+  if (!name) return;
+  if (EQ_PRESETS[name]) { showToast(`"${name}" is a built-in preset.`); return; }
+  const custom = loadCustomEq();
+  custom[name] = eqSetting.gains;
+  localStorage.setItem(EQ_CUSTOM_KEY, JSON.stringify(custom));
+  applyEq({ preset: name, gains: eqSetting.gains });
+  saveEq();
+});
+ui.btnEqDelete.addEventListener('click', () => {
+  const custom = loadCustomEq();
+  if (!confirm(`Delete the EQ curve "${eqSetting.preset}"?`)) return;
+  delete custom[eqSetting.preset];
+  localStorage.setItem(EQ_CUSTOM_KEY, JSON.stringify(custom));
+  applyEq({ preset: null, gains: eqSetting.gains });
+  saveEq();
+});
+ui.eqForPlaylist.addEventListener('change', () => {
+  const own = loadPlaylistEqs();
+  if (ui.eqForPlaylist.checked) own[playingPlaylistId] = eqSetting;
+  else delete own[playingPlaylistId];
+  localStorage.setItem(EQ_PLAYLISTS_KEY, JSON.stringify(own));
+  applyEq(activeEq());
+});
+
 // ── Scrubbing ──
 let isScrubbing = false;
 function ratioFromPointer(ev) {
@@ -792,8 +3570,32 @@ $('btnReseed').addEventListener('click', async () => {
 });
 
 // ── Navigation buttons ──
-$('btnBackDetail').addEventListener('click', navigateBack);
+$('btnBackDetail').addEventListener('click', () => {
+  if (detailEditing) setDetailEditing(false);
+  navigateBack();
+});
+ui.btnEditPlaylist.addEventListener('click', () => {
+  // A user's smart playlist is edited in the rule editor; everything else in place
+  if (loadPlaylists().find(p => p.id === activePlaylistId)?.smart) openModal(activePlaylistId);
+  else setDetailEditing(!detailEditing);
+});
+ui.btnExportPlaylist.addEventListener('click', () => openExportModal([activePlaylistId]));
+ui.detailNameInput.addEventListener('change', renamePlaylist);
+ui.detailNameInput.addEventListener('keydown', ev => { if (ev.key === 'Enter') ui.detailNameInput.blur(); });
+$('btnAddSongs').addEventListener('click', () => openModal(activePlaylistId));
+ui.btnOffline.addEventListener('click', () => downloadPlaylist(activePlaylistId).catch(e => setStatus(`Error: ${e.message}`)));
+ui.btnOfflineRemove.addEventListener('click', () => removeDownload(activePlaylistId));
 $('btnBackPlayer').addEventListener('click', navigateBack);
+$('btnBackQueue').addEventListener('click', navigateBack);
+$('btnBackDupes').addEventListener('click', navigateBack);
+$('btnRescanDupes').addEventListener('click', scanDuplicates);
+$('btnApplyDupes').addEventListener('click', applyDupes);
+ui.dupeAudio.addEventListener('change', scanDuplicates);
+$('btnOpenQueue').addEventListener('click', () => { renderQueue(); navigateTo('screenQueue'); });
+$('btnClearQueue').addEventListener('click', () => {
+  player.editQueue(q => { q.length = 0; });
+  renderQueue(); render();
+});
 $('btnDeletePlaylist').addEventListener('click', () => {
   const pl = loadPlaylists().find(p => p.id === activePlaylistId);
   if (!pl || !confirm(`Delete "${pl.name}"?`)) return;
@@ -817,7 +3619,31 @@ ui.miniBtnNext.addEventListener('click', async ev => {
 });
 
 // ── Home buttons ──
-$('btnNewPlaylist').addEventListener('click', openModal);
+$('btnNewPlaylist').addEventListener('click', () => openModal());
+$('btnResume').addEventListener('click', resumePlayback);
+$('btnDismissResume').addEventListener('click', () => {
+  ui.resumeCard.classList.add('hidden');
+  resumeState = null;
+  localStorage.removeItem(RESUME_KEY);
+});
+$('btnLibraryTools').addEventListener('click', openTools);
+$('btnCloseTools').addEventListener('click', closeTools);
+$('btnCloseRules').addEventListener('click', closeRulesModal);
+$('btnCancelRules').addEventListener('click', closeRulesModal);
+$('btnAddRule').addEventListener('click', addPendingRule);
+$('btnCloseExport').addEventListener('click', closeExportModal);
+$('btnExport').addEventListener('click', exportPlaylists);
+document.querySelectorAll('#exportFormats .batch-btn').forEach(btn => {
+  btn.addEventListener('click', () => { exportFormat = btn.dataset.fmt; renderExportList(); });
+});
+$('importFile').addEventListener('change', async ev => {
+  const files = [...ev.target.files];
+  ev.target.value = '';
+  try { await importPlaylistFiles(files); } catch (e) { setStatus(`Error: ${e.message}`); }
+});
+$('btnSaveRules').addEventListener('click', saveRules);
+ui.rulePattern.addEventListener('input', renderRulePreview);
+ui.ruleReplace.addEventListener('input', renderRulePreview);
 $('btnCloseModal').addEventListener('click', closeModal);
 $('btnCancelModal').addEventListener('click', closeModal);
 $('btnSavePlaylist').addEventListener('click', savePlaylist);
@@ -826,40 +3652,99 @@ ui.searchInput.addEventListener('input', ev => handleSearch(ev.target.value));
 
 // Close modal when tapping the backdrop
 ui.modalNewPlaylist.addEventListener('click', ev => { if (ev.target === ui.modalNewPlaylist) closeModal(); });
+ui.pickerModes.addEventListener('click', ev => { const btn = ev.target.closest('[data-pick]'); if (btn) setPickerMode(btn.dataset.pick); });
+ui.smartRuleList.addEventListener('input', editSmartRule);
+ui.smartRuleList.addEventListener('click', ev => {
+  const row = ev.target.closest('[data-act="remove-rule"]')?.closest('.smart-row');
+  if (!row) return;
+  smartDraft.rules.splice(Number(row.dataset.i), 1);
+  renderSmartEditor();
+});
+$('btnAddSmartRule').addEventListener('click', () => { smartDraft.rules.push(defaultRule('artist')); renderSmartEditor(); });
+ui.smartMatch.addEventListener('change', () => { smartDraft.match = ui.smartMatch.value; renderSmartPreview(); });
+ui.smartLimit.addEventListener('input', () => { smartDraft.limit = Math.max(0, Math.round(Number(ui.smartLimit.value) || 0)); renderSmartPreview(); });
+ui.modalTools.addEventListener('click', ev => { if (ev.target === ui.modalTools) closeTools(); });
+ui.modalRules.addEventListener('click', ev => { if (ev.target === ui.modalRules) closeRulesModal(); });
+ui.modalExport.addEventListener('click', ev => { if (ev.target === ui.modalExport) closeExportModal(); });
 
 // ── Animation loop ──
-let lastRenderedTrackIndex = -1;
+let lastRenderedSeg = null;
 
 function tick() {
   render(false);
   const cur = player.getCurrent();
-  if (cur && cur.index !== lastRenderedTrackIndex) {
-    lastRenderedTrackIndex = cur.index;
-    player.updateNowPlayingMetadata(cur.index);
+  if (cur && cur !== lastRenderedSeg) {
+    lastRenderedSeg = cur;
+    player.logPlays(); // in case the last track's timer was throttled
+    player.updateNowPlayingMetadata(cur.song);
     markActive(cur.index);
     scrollToActive(cur.index);
+    if (walk.on) { matchCadence(); analyzeAhead(); }
+    renderWalk();
+    if (navStack[navStack.length - 1] === 'screenQueue') renderQueue();
   }
   requestAnimationFrame(tick);
 }
 
 document.addEventListener('visibilitychange', () => {
+  player.extendBatch();
+  if (document.visibilityState === 'hidden') player.checkpoint();
   if (document.visibilityState === 'visible') {
     const cur = player.getCurrent();
-    if (cur) player.updateNowPlayingMetadata(cur.index);
+    if (cur) player.updateNowPlayingMetadata(cur.song);
     render(true);
   }
 });
 
+// Another tab edited playlists or played something: reload and redraw whatever shows them
+onStoreChange(async (kind, rec) => {
+  if (kind === 'history') {
+    if (rec) countHistory(rec); else await loadHistory(); // a tab on an older version sends no entry
+    renderHome();
+    return;
+  }
+  if (kind !== 'playlists') return;
+  await reloadPlaylists();
+  renderHome();
+  if (navStack[navStack.length - 1] === 'screenDetail') {
+    if (playlistContext(activePlaylistId)) openPlaylistDetail(activePlaylistId);
+    else navigateBack();
+  }
+  syncPlayingPlaylist(playingPlaylistId);
+});
+
+// iOS may kill the app in the background without any unload event,
+// so the position is also saved every few seconds while playing
+setInterval(() => { if (player.isPlaying) player.checkpoint(); }, 5000);
+window.addEventListener('pagehide', () => player.checkpoint());
+
 // ── Init ──
 async function init() {
   allSongs = (await scanSongsDir()) || buildSongs(12);
+  await reloadPlaylists();
+  await loadLoudness();
+  await loadTempos();
+  await loadHistory();
+  await loadAdded(allSongs);
   SONGS = allSongs;
-  player.songs = SONGS;
+  player.setSongs(SONGS, '__all__');
+  player.setModes(loadPlayModes('__all__'));
+  renderModeButtons();
   setStatus(`Found ${allSongs.length} song(s).`);
   renderHome();
   applyBatchSize(5);
+  applyCrossfade(Number(localStorage.getItem(CROSSFADE_KEY)) || 0);
+  applyNormalize(localStorage.getItem(NORMALIZE_KEY));
+  renderWalk();
+  const speed = loadSpeed();
+  applySpeed(speed.rate, speed.keepPitch);
+  buildEqBands();
+  applyEq(activeEq());
   render(true);
+  offerResume();
+  if ('serviceWorker' in navigator) postToWorker({ type: 'offline-status' });
   requestAnimationFrame(tick);
+  libraryTagged = enrichLibrary(allSongs);
 }
 
 init();
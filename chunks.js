@@ -0,0 +1,110 @@
+// WalkPlayer — chunked decoding for long tracks
+//
+// A long MP3 stays compressed in memory and is decoded CHUNK_SEC at a time.
+// Chunks are cut on frame boundaries. Each one is decoded with a few frames
+// of lead-in (the bit reservoir reaches back into earlier frames) and one
+// frame of run-out, and both are trimmed off again, so consecutive chunks
+// line up sample for sample.
+
+import { mpegFrameHeader, v2TagLength } from './id3.js';
+
+export const CHUNK_SEC = 30;
+const LEAD_IN     = 3;    // frames decoded ahead of a chunk, then dropped
+const RUN_OUT     = 1;    // frames decoded after a chunk, then dropped
+const RESYNC      = 4096; // bytes searched for the next frame after a bad one
+const KEEP_CHUNKS = 4;    // decoded chunks held per track
+
+// Byte offsets of every Layer III frame (plus the end of the last one) and
+// the stream format, or null when `bytes` isn't an MP3 stream.
+export function indexFrames(bytes) {
+  let i = v2TagLength(bytes);
+  // First header that's followed by another, so a stray 0xFF in the tag padding doesn't count
+  let first = null;
+  for (; i + 4 <= bytes.length; i++) {
+    const h = mpegFrameHeader(bytes, i);
+    if (h && mpegFrameHeader(bytes, i + h.length)?.rate === h.rate) { first = h; break; }
+  }
+  if (!first) return null;
+
+  const offsets = [];
+  while (i + 4 <= bytes.length) {
+    const h = mpegFrameHeader(bytes, i);
+    if (h && h.rate === first.rate) { offsets.push(i); i += h.length; continue; }
+    // Junk between frames: skip ahead to the next header, or stop (ID3v1 / APE trailer)
+    let j = i + 1;
+    while (j < Math.min(bytes.length, i + RESYNC) && mpegFrameHeader(bytes, j)?.rate !== first.rate) j++;
+    if (j >= Math.min(bytes.length, i + RESYNC)) break;
+    i = j;
+  }
+  offsets.push(Math.min(i, bytes.length));
+  const frames = offsets.length - 1;
+  return { offsets: Uint32Array.from(offsets), rate: first.rate, samples: first.samples, duration: frames * first.samples / first.rate };
+}
+
+// A compressed track decoded on demand. `duration` matches an AudioBuffer's,
+// so callers can treat both alike until they need samples.
+export class ChunkedTrack {
+  constructor(ctx, data, frames) {
+    this.ctx = ctx; this.data = data; this.frames = frames;
+    this.frameCount = frames.offsets.length - 1;
+    this.framesPerChunk = Math.max(1, Math.round(CHUNK_SEC * frames.rate / frames.samples));
+    this.chunkCount = Math.ceil(this.frameCount / this.framesPerChunk);
+    this.duration = frames.duration;
+    this.pending = new Map(); // chunk → Promise<AudioBuffer>, least recently used first
+    this.ready = new Map();   // chunk → AudioBuffer, once decoded
+    this.onchunk = null;      // (k, AudioBuffer) after every decode
+  }
+
+  // Track time (seconds) where chunk k begins; chunkStart(chunkCount) is the end
+  chunkStart(k) {
+    return Math.min(k * this.framesPerChunk, this.frameCount) * this.frames.samples / this.frames.rate;
+  }
+
+  chunkAt(sec) {
+    const frame = Math.floor(sec * this.frames.rate / this.frames.samples);
+    return Math.max(0, Math.min(this.chunkCount - 1, Math.floor(frame / this.framesPerChunk)));
+  }
+
+  // Compressed data plus the decoded chunks held
+  get byteSize() {
+    let n = this.data.byteLength;
+    for (const buf of this.ready.values()) n += buf.length * buf.numberOfChannels * 4;
+    return n;
+  }
+
+  chunk(k) {
+    let p = this.pending.get(k);
+    if (p) { this.pending.delete(k); this.pending.set(k, p); return p; }
+    p = this.decode(k).then(buf => {
+      if (this.pending.get(k) === p) this.ready.set(k, buf);
+      this.onchunk?.(k, buf);
+      return buf;
+    });
+    p.catch(() => this.pending.delete(k));
+    this.pending.set(k, p);
+    for (const old of this.pending.keys()) {
+      if (this.pending.size <= KEEP_CHUNKS) break;
+      this.pending.delete(old); this.ready.delete(old);
+    }
+    return p;
+  }
+
+  async decode(k) {
+    const { offsets, rate, samples } = this.frames;
+    const a = k * this.framesPerChunk, b = Math.min(a + this.framesPerChunk, this.frameCount);
+    const from = Math.max(0, a - LEAD_IN), to = Math.min(this.frameCount, b + RUN_OUT);
+    // decodeAudioData takes ownership of its input, so each chunk gets a copy
+    const slice = this.data.slice(offsets[from], offsets[to]);
+    const decoded = await new Promise((resolve, reject) => this.ctx.decodeAudioData(slice, resolve, reject));
+
+    // Aligned from the end: decoders may trim the start of a stream (gapless
+    // info, the Xing frame), but every chunk ends the same way
+    const sr = decoded.sampleRate;
+    const at = f => Math.round(f * samples * sr / rate);
+    const end = Math.max(1, decoded.length - (at(to) - at(b)));
+    const start = Math.max(0, end - (at(b) - at(a)));
+    const buf = this.ctx.createBuffer(decoded.numberOfChannels, end - start, sr);
+    for (let c = 0; c < decoded.numberOfChannels; c++) buf.copyToChannel(decoded.getChannelData(c).subarray(start, end), c);
+    return buf;
+  }
+}
@@ -0,0 +1,151 @@
+// WalkPlayer — duplicate track detection
+//
+// Songs are grouped when their cleaned title/artist match, or when file size
+// and decoded duration both match under different names. An optional audio
+// fingerprint — a coarse loudness envelope — confirms or rules out a match.
+
+const FRAME_SEC   = 0.1;   // one envelope value per 100 ms
+const PRINT_SEC   = 90;    // only the opening of a track is fingerprinted
+const STRIDE      = 4;     // samples skipped while summing energy
+const SILENCE_DB  = -50;   // leading frames quieter than this are trimmed
+const MAX_LAG     = 20;    // frames of offset tried when comparing (±2 s)
+const DURATION_TOLERANCE = 1.5; // seconds
+export const PRINT_MATCH = 0.9;  // envelope correlation treated as the same recording
+
+// "Lego House copy", "Lego House (1)" and "LEGO HOUSE" share a key
+export function duplicateKey(title, artist) {
+  const fold = s => (s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/\s*-?\s*\bcopy(?:\s*\d+)?\s*$/, '')
+    .replace(/\s*\(\d+\)\s*$/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return `${fold(artist)}|${fold(title)}`;
+}
+
+// ── Fingerprint ──
+// Loudness envelope (dB per frame) of the first PRINT_SEC after leading silence
+export function fingerprint(buffer) {
+  const frame = Math.round(buffer.sampleRate * FRAME_SEC);
+  const chans = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const frames = Math.floor(buffer.length / frame);
+  const want = Math.round(PRINT_SEC / FRAME_SEC);
+  const env = [];
+  let started = false;
+
+  for (let f = 0; f < frames && env.length < want; f++) {
+    let sum = 0;
+    for (let i = f * frame, end = i + frame; i < end; i += STRIDE) {
+      for (const d of chans) sum += d[i] * d[i];
+    }
+    const db = 10 * Math.log10(sum / (frame / STRIDE * chans.length) + 1e-10);
+    if (!started && db < SILENCE_DB) continue;
+    started = true;
+    env.push(db);
+  }
+  return Float32Array.from(env);
+}
+
+// Pearson correlation of a[i] against b[i + lag] over their overlap
+function correlate(a, b, lag) {
+  const start = Math.max(0, -lag);
+  const end = Math.min(a.length, b.length - lag);
+  const n = end - start;
+  if (n < 50) return 0;
+  let sa = 0, sb = 0;
+  for (let i = start; i < end; i++) { sa += a[i]; sb += b[i + lag]; }
+  const ma = sa / n, mb = sb / n;
+  let cov = 0, va = 0, vb = 0;
+  for (let i = start; i < end; i++) {
+    const x = a[i] - ma, y = b[i + lag] - mb;
+    cov += x * y; va += x * x; vb += y * y;
+  }
+  return va && vb ? cov / Math.sqrt(va * vb) : 0;
+}
+
+// Best correlation over small offsets, so a second of extra intro doesn't matter
+export function printSimilarity(a, b) {
+  let best = 0;
+  for (let lag = -MAX_LAG; lag <= MAX_LAG; lag++) best = Math.max(best, correlate(a, b, lag));
+  return best;
+}
+
+// ── Grouping ──
+// items: [{ file, key, size, duration, print }], where size/duration/print
+// may be null (missing file, not decoded, audio comparison off).
+// Returns [{ files, reasons }] for every group of two or more.
+export function findDuplicates(items) {
+  const parent = items.map((_, i) => i);
+  const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+  const pairReasons = [];
+
+  const closeDuration = (a, b) => a.duration == null || b.duration == null ||
+    Math.abs(a.duration - b.duration) <= DURATION_TOLERANCE;
+  const similarity = (a, b) => a.print?.length && b.print?.length ? printSimilarity(a.print, b.print) : null;
+
+  const link = (i, j, reasons) => {
+    parent[find(i)] = find(j);
+    pairReasons.push([i, reasons]);
+  };
+
+  const check = (i, j, byName) => {
+    const a = items[i], b = items[j];
+    const reasons = [];
+    if (byName) reasons.push('same title');
+    if (a.size && a.size === b.size) reasons.push('same size');
+    if (!closeDuration(a, b)) return;
+    if (a.duration != null && b.duration != null) reasons.push('same length');
+    const sim = similarity(a, b);
+    if (sim != null) {
+      if (sim < PRINT_MATCH) return;
+      reasons.push(`audio ${Math.round(sim * 100)}% alike`);
+    }
+    // Names alone are enough; otherwise size + length, or the fingerprint, must agree
+    if (byName || (reasons.includes('same size') && reasons.includes('same length')) || sim != null) link(i, j, reasons);
+  };
+
+  const seen = new Set();
+  const pairKey = (i, j) => i < j ? `${i},${j}` : `${j},${i}`;
+  const checkOnce = (i, j, byName) => {
+    const k = pairKey(i, j);
+    if (seen.has(k)) return;
+    seen.add(k);
+    check(i, j, byName);
+  };
+
+  // Same normalized title/artist
+  const byKey = new Map();
+  items.forEach((it, i) => byKey.set(it.key, [...(byKey.get(it.key) || []), i]));
+  for (const ids of byKey.values()) {
+    for (let x = 0; x < ids.length; x++) for (let y = x + 1; y < ids.length; y++) checkOnce(ids[x], ids[y], true);
+  }
+
+  // Different names: only pairs of similar length are worth comparing
+  const timed = items.map((it, i) => i).filter(i => items[i].duration != null)
+    .sort((i, j) => items[i].duration - items[j].duration);
+  for (let x = 0; x < timed.length; x++) {
+    for (let y = x + 1; y < timed.length; y++) {
+      if (items[timed[y]].duration - items[timed[x]].duration > DURATION_TOLERANCE) break;
+      const a = items[timed[x]], b = items[timed[y]];
+      if ((a.size && a.size === b.size) || (a.print && b.print)) checkOnce(timed[x], timed[y], false);
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((it, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { files: [], reasons: new Set() });
+    groups.get(root).files.push(it.file);
+  });
+  for (const [i, reasons] of pairReasons) for (const r of reasons) groups.get(find(i)).reasons.add(r);
+
+  return [...groups.values()]
+    .filter(g => g.files.length > 1)
+    .map(g => ({ files: g.files, reasons: [...g.reasons] }));
+}
+
+// Default copy to keep: one that exists, isn't named like a copy, and is the largest file
+export function pickKeeper(items) {
+  const looksLikeCopy = f => /(?:\bcopy(?:\s*\d+)?|\(\d+\))\.\w+$/i.test(decodeURIComponent(f));
+  const score = it => (it.size != null ? 4 : 0) + (looksLikeCopy(it.file) ? 0 : 2);
+  return [...items].sort((a, b) => score(b) - score(a) || (b.size || 0) - (a.size || 0))[0].file;
+}
@@ -0,0 +1,44 @@
+// WalkPlayer — ten-band graphic equalizer settings
+//
+// Octave bands from 31 Hz to 16 kHz. The outer bands are shelves, the rest
+// peaking filters one octave wide. A setting is { preset, gains }, with
+// `preset` null once the curve has been hand-edited.
+
+export const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_RANGE = 12;   // ± dB per band
+export const EQ_Q     = 1.41; // one octave
+
+export const EQ_PRESETS = {
+  'Flat':            [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+  'Bass Boost':      [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+  'Vocal':           [-3, -2, -1, 0, 2, 4, 4, 3, 1, 0],
+  // Lifts bass and presence, which traffic and wind mask first
+  'Walking/Outdoor': [4, 3, 2, 0, -1, 0, 2, 4, 3, 1],
+  // Fills in the low end small drivers lose and softens the harsh 4–8 kHz peak
+  'Headphones':      [3, 2, 1, 0, 0, 0, 1, -1, -2, 0],
+};
+
+export const FLAT_EQ = { preset: 'Flat', gains: EQ_PRESETS.Flat };
+
+export function bandType(i) {
+  if (i === 0) return 'lowshelf';
+  if (i === EQ_BANDS.length - 1) return 'highshelf';
+  return 'peaking';
+}
+
+// Ten finite gains within range; anything else becomes flat
+export function normalizeGains(gains) {
+  return EQ_BANDS.map((_, i) => {
+    const g = Number(gains?.[i]);
+    return Number.isFinite(g) ? Math.max(-EQ_RANGE, Math.min(EQ_RANGE, Math.round(g * 2) / 2)) : 0;
+  });
+}
+
+// Negative pre-gain (dB) that keeps the loudest boost from clipping
+export function eqPreamp(gains) {
+  return -Math.max(0, ...gains);
+}
+
+export function bandLabel(freq) {
+  return freq >= 1000 ? `${freq / 1000}k` : String(freq);
+}
@@ -0,0 +1,266 @@
+// WalkPlayer — in-browser ID3 tag reader (ID3v2.3 / v2.4, ID3v1 fallback)
+//
+// Only the bytes that hold tags are fetched: the 10-byte ID3v2 header, then
+// the tag itself plus the first audio frame (for the duration), and the last
+// 128 bytes for ID3v1. Servers without Range support get their response body
+// cancelled once enough bytes have arrived.
+
+const V1_SIZE = 128;
+const FRAME_PROBE = 4096; // bytes after the tag searched for the first MPEG frame
+
+// ── Byte fetching ──
+// Fetches bytes [start, end] (inclusive) as { bytes, total }, where total is
+// the full file size when the server reports it. Returns null when the server
+// can't serve the range without sending the whole file.
+async function fetchRange(url, start, end) {
+  const res = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+  if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+  if (res.status === 206) {
+    const total = Number(/\/(\d+)\s*$/.exec(res.headers.get('content-range') || '')?.[1]) || null;
+    return { bytes: new Uint8Array(await res.arrayBuffer()), total };
+  }
+
+  // Range ignored: stream the full body and stop once we have what we need
+  if (!res.body) return null;
+  const want = end + 1;
+  const reader = res.body.getReader();
+  const out = new Uint8Array(want);
+  let got = 0;
+  while (got < want) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const take = Math.min(value.length, want - got);
+    out.set(value.subarray(0, take), got);
+    got += take;
+  }
+  reader.cancel().catch(() => {});
+  const total = Number(res.headers.get('content-length')) || null;
+  return got > start ? { bytes: out.subarray(start, got), total } : null;
+}
+
+// Last `n` bytes of the file; only works with Range support
+async function fetchTail(url, n) {
+  const res = await fetch(url, { headers: { Range: `bytes=-${n}` } });
+  if (res.status !== 206) { res.body?.cancel().catch(() => {}); return null; }
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+// ── Text decoding ──
+const latin1  = new TextDecoder('latin1');
+const utf8    = new TextDecoder('utf-8');
+const utf16le = new TextDecoder('utf-16le');
+const utf16be = new TextDecoder('utf-16be');
+
+function decodeText(bytes, encoding) {
+  switch (encoding) {
+    case 1: { // UTF-16 with BOM
+      if (bytes[0] === 0xFE && bytes[1] === 0xFF) return utf16be.decode(bytes.subarray(2));
+      if (bytes[0] === 0xFF && bytes[1] === 0xFE) return utf16le.decode(bytes.subarray(2));
+      return utf16le.decode(bytes);
+    }
+    case 2: return utf16be.decode(bytes);
+    case 3: return utf8.decode(bytes);
+    default: return latin1.decode(bytes);
+  }
+}
+
+// Index of the string terminator at or after `from` (two zero bytes, aligned, for UTF-16)
+function findTerminator(bytes, from, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = from; i + 1 < bytes.length; i += 2) if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+    return bytes.length;
+  }
+  const i = bytes.indexOf(0, from);
+  return i === -1 ? bytes.length : i;
+}
+
+// Text frames may hold several null-separated values (v2.4); keep them all
+function readTextFrame(data) {
+  const enc = data[0];
+  const step = enc === 1 || enc === 2 ? 2 : 1;
+  const values = [];
+  let pos = 1;
+  while (pos < data.length) {
+    const end = findTerminator(data, pos, enc);
+    const value = decodeText(data.subarray(pos, end), enc).replace(/^\uFEFF/, '').trim();
+    if (value) values.push(value);
+    pos = end + step;
+  }
+  return values.join(', ');
+}
+
+function readPictureFrame(data) {
+  const enc = data[0];
+  const mimeEnd = findTerminator(data, 1, 0);
+  const mime = latin1.decode(data.subarray(1, mimeEnd)) || 'image/jpeg';
+  const type = data[mimeEnd + 1];
+  const descEnd = findTerminator(data, mimeEnd + 2, enc);
+  const start = descEnd + (enc === 1 || enc === 2 ? 2 : 1);
+  if (start >= data.length) return null;
+  return {
+    mime: mime.includes('/') ? mime : `image/${mime.toLowerCase()}`,
+    type,
+    data: data.slice(start),
+  };
+}
+
+// ── ID3v2 ──
+function synchsafe(b, i) {
+  return (b[i] & 0x7f) << 21 | (b[i + 1] & 0x7f) << 14 | (b[i + 2] & 0x7f) << 7 | (b[i + 3] & 0x7f);
+}
+function uint32(b, i) { return (b[i] << 24 | b[i + 1] << 16 | b[i + 2] << 8 | b[i + 3]) >>> 0; }
+
+// Undo unsynchronisation: every 0xFF 0x00 pair becomes 0xFF
+function unsync(bytes) {
+  const out = new Uint8Array(bytes.length);
+  let n = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    out[n++] = bytes[i];
+    if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, n);
+}
+
+// Total ID3v2 tag length (header included), or 0 when there's no tag
+export function v2TagLength(header) {
+  if (header.length < 10 || header[0] !== 0x49 || header[1] !== 0x44 || header[2] !== 0x33) return 0;
+  const footer = header[5] & 0x10 ? 10 : 0;
+  return 10 + synchsafe(header, 6) + footer;
+}
+
+function parseV2(tag) {
+  const major = tag[3];
+  if (major !== 3 && major !== 4) return null;
+  const flags = tag[5];
+  let body = tag.subarray(10, 10 + synchsafe(tag, 6));
+  if (major === 3 && flags & 0x80) body = unsync(body);
+
+  let pos = 0;
+  if (flags & 0x40) pos = major === 4 ? synchsafe(body, 0) : uint32(body, 0) + 4;
+
+  const frames = {};
+  const pictures = [];
+  while (pos + 10 <= body.length) {
+    if (body[pos] === 0) break; // padding
+    const id = latin1.decode(body.subarray(pos, pos + 4));
+    const size = major === 4 ? synchsafe(body, pos + 4) : uint32(body, pos + 4);
+    const fmt = body[pos + 9];
+    let data = body.subarray(pos + 10, pos + 10 + size);
+    pos += 10 + size;
+    if (!size || !/^[A-Z0-9]{4}$/.test(id)) continue;
+
+    if (major === 4) {
+      if (fmt & 0x0C) continue;            // compressed or encrypted
+      if (fmt & 0x40) data = data.subarray(1); // grouping id
+      if (fmt & 0x01) data = data.subarray(4); // data length indicator
+      if (fmt & 0x02) data = unsync(data);
+    } else {
+      if (fmt & 0xC0) continue;            // compressed or encrypted
+      if (fmt & 0x20) data = data.subarray(1);
+    }
+
+    if (id === 'APIC') { const pic = readPictureFrame(data); if (pic) pictures.push(pic); }
+    else if (id[0] === 'T' && !(id in frames)) frames[id] = readTextFrame(data);
+  }
+
+  const year = (frames.TDRC || frames.TYER || '').match(/\d{4}/);
+  const track = parseInt(frames.TRCK, 10);
+  return {
+    title:  frames.TIT2 || '',
+    artist: frames.TPE1 || frames.TPE2 || '',
+    album:  frames.TALB || '',
+    track:  Number.isFinite(track) ? track : null,
+    year:   year ? Number(year[0]) : null,
+    // Prefer the front cover (picture type 3)
+    picture: pictures.find(p => p.type === 3) || pictures[0] || null,
+  };
+}
+
+// ── MPEG duration ──
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG-1 Layer III
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],     // MPEG-2/2.5 Layer III
+};
+const SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Layer III frame header at `i`: { version, bitrate, rate, samples, mono, length },
+// or null when there isn't one. `length` is the whole frame in bytes.
+export function mpegFrameHeader(bytes, i) {
+  if (i + 4 > bytes.length || bytes[i] !== 0xFF || (bytes[i + 1] & 0xE0) !== 0xE0) return null;
+  const version = (bytes[i + 1] >> 3) & 3;           // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layer = (bytes[i + 1] >> 1) & 3;             // 1 = Layer III
+  const bitrate = BITRATES[version === 3 ? 1 : 2][bytes[i + 2] >> 4];
+  const rate = SAMPLE_RATES[version]?.[(bytes[i + 2] >> 2) & 3];
+  if (version === 1 || layer !== 1 || !bitrate || !rate) return null;
+  const samples = version === 3 ? 1152 : 576;
+  const padding = (bytes[i + 2] >> 1) & 1;
+  return {
+    version, bitrate, rate, samples, mono: (bytes[i + 3] >> 6) === 3,
+    length: Math.floor(samples / 8 * bitrate * 1000 / rate) + padding,
+  };
+}
+
+// Seconds of audio, from the first Layer III frame in `bytes`: the Xing/Info
+// or VBRI frame count when there is one (VBR), otherwise the audio size over
+// the constant bitrate. `audioBytes` is the file size minus the ID3v2 tag.
+function mpegDuration(bytes, audioBytes) {
+  for (let i = 0; i + 4 <= bytes.length; i++) {
+    const frame = mpegFrameHeader(bytes, i);
+    if (!frame) continue;
+    const { version, bitrate, rate, samples, mono } = frame;
+    const side = version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const tagAt = (pos, id) => latin1.decode(bytes.subarray(pos, pos + 4)) === id;
+
+    const xing = i + 4 + side;
+    if ((tagAt(xing, 'Xing') || tagAt(xing, 'Info')) && bytes[xing + 7] & 1) {
+      return uint32(bytes, xing + 8) * samples / rate;
+    }
+    if (tagAt(i + 36, 'VBRI')) return uint32(bytes, i + 36 + 14) * samples / rate;
+    return audioBytes ? audioBytes * 8 / (bitrate * 1000) : null;
+  }
+  return null;
+}
+
+// ── ID3v1 ──
+function parseV1(bytes) {
+  if (!bytes || bytes.length < V1_SIZE || bytes[0] !== 0x54 || bytes[1] !== 0x41 || bytes[2] !== 0x47) return null;
+  const field = (from, len) => latin1.decode(bytes.subarray(from, from + len)).replace(/\0.*$/s, '').trim();
+  const year = parseInt(field(93, 4), 10);
+  // ID3v1.1: a zero byte before the last comment byte means that byte is the track number
+  const track = bytes[125] === 0 && bytes[126] ? bytes[126] : null;
+  return {
+    title: field(3, 30), artist: field(33, 30), album: field(63, 30),
+    track, year: Number.isFinite(year) ? year : null, picture: null,
+  };
+}
+
+// ── Public ──
+// Reads tags from an MP3 URL. Resolves to
+// { title, artist, album, track, year, duration, picture: { mime, type, data } | null },
+// with empty fields where the file has no value, or null when it has neither
+// tags nor a readable audio frame.
+export async function readTags(url) {
+  let tags = null, duration = null;
+
+  const header = await fetchRange(url, 0, 9);
+  const len = header ? v2TagLength(header.bytes) : 0;
+  const head = await fetchRange(url, 0, len + FRAME_PROBE - 1);
+  if (head) {
+    if (len && head.bytes.length >= len) tags = parseV2(head.bytes.subarray(0, len));
+    duration = mpegDuration(head.bytes.subarray(len), head.total ? head.total - len : null);
+  }
+
+  // Fill whatever ID3v2 didn't provide from an ID3v1 trailer
+  if (!tags || !tags.title || !tags.artist) {
+    const v1 = parseV1(await fetchTail(url, V1_SIZE).catch(() => null));
+    if (v1) {
+      tags = tags || { title: '', artist: '', album: '', track: null, year: null, picture: null };
+      for (const k of ['title', 'artist', 'album', 'track', 'year']) if (!tags[k] && v1[k]) tags[k] = v1[k];
+    }
+  }
+  if (duration) {
+    tags = tags || { title: '', artist: '', album: '', track: null, year: null, picture: null };
+    tags.duration = duration;
+  }
+  return tags;
+}
@@ -0,0 +1,78 @@
+// WalkPlayer — artist and album index
+//
+// Songs are grouped under every artist they credit: the main artist and each
+// one featured ("Ft. Khalid" split out of the title by titles.js), so a
+// collaboration turns up under both. Names are matched ignoring case, accents
+// and punctuation; each group shows its most common spelling.
+
+const UNKNOWN = new Set(['', '—', 'unknown', 'unknown artist', 'various artists']);
+
+// "Ed Sheeran", "ED SHEERAN" and "Ed Sheeran." share a key
+export function groupKey(name) {
+  return String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// The spelling most songs use
+function mostCommon(names) {
+  const counts = new Map();
+  for (const n of names) counts.set(n, (counts.get(n) || 0) + 1);
+  return [...counts].reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+}
+
+function byName(a, b) { return a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }); }
+
+// Album, then track number, then title
+function albumOrder(a, b) {
+  return (a.album || '').localeCompare(b.album || '', undefined, { sensitivity: 'base' })
+    || (a.track ?? Infinity) - (b.track ?? Infinity)
+    || a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true });
+}
+
+// [{ key, name, songs, featured, albums }] sorted by name. `featured` counts
+// the songs where the artist is only a guest.
+export function artistIndex(songs) {
+  const groups = new Map();
+  const add = (name, song, guest) => {
+    const key = groupKey(name);
+    if (UNKNOWN.has(key)) return;
+    let g = groups.get(key);
+    if (!g) groups.set(key, g = { key, names: [], songs: [], featured: 0 });
+    if (g.songs.includes(song)) return;
+    g.names.push(name.trim());
+    g.songs.push(song);
+    if (guest) g.featured++;
+  };
+  for (const song of songs) {
+    add(song.artist, song, false);
+    for (const name of song.featuring || []) add(name, song, true);
+  }
+  return [...groups.values()].map(g => ({
+    key: g.key, name: mostCommon(g.names), songs: g.songs.sort(albumOrder), featured: g.featured,
+    albums: new Set(g.songs.map(s => groupKey(s.album)).filter(Boolean)).size,
+  })).sort(byName);
+}
+
+// [{ key, name, artist, year, songs }] sorted by name. Songs without an album
+// tag are left out; `artist` is null when no one artist has most of the tracks.
+export function albumIndex(songs) {
+  const groups = new Map();
+  for (const song of songs) {
+    const key = groupKey(song.album);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { key, names: [], songs: [] });
+    const g = groups.get(key);
+    g.names.push(song.album.trim());
+    g.songs.push(song);
+  }
+  return [...groups.values()].map(g => {
+    const artist = mostCommon(g.songs.map(s => s.artist));
+    const share = g.songs.filter(s => s.artist === artist).length / g.songs.length;
+    return {
+      key: g.key, name: mostCommon(g.names),
+      artist: share > 0.5 && !UNKNOWN.has(groupKey(artist)) ? artist : null,
+      year: g.songs.find(s => s.year)?.year ?? null,
+      songs: g.songs.sort(albumOrder),
+    };
+  }).sort(byName);
+}
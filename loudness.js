@@ -0,0 +1,91 @@
+// WalkPlayer — integrated loudness (ITU-R BS.1770 / EBU R128 style)
+//
+// Audio is K-weighted (a high shelf, then a high-pass), squared and summed
+// in 100 ms steps. Overlapping 400 ms blocks are gated at −70 LUFS and then at
+// 10 LU below their own mean. Block energies are kept, not just the result,
+// so a long track measured chunk by chunk integrates the same way.
+
+const STEP_SEC   = 0.1;  // block hop
+const BLOCK_STEPS = 4;   // 400 ms blocks, 75% overlap
+const ABS_GATE   = -70;  // LUFS
+const REL_GATE   = -10;  // LU below the ungated mean
+
+// Biquad coefficients of the two K-weighting stages at `rate` (libebur128's derivation)
+function kWeighting(rate) {
+  let f0 = 1681.974450955533, q = 0.7071752369554196;
+  let k = Math.tan(Math.PI * f0 / rate);
+  const vh = 10 ** (3.999843853973347 / 20), vb = vh ** 0.4996667741545416;
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b0: (vh + vb * k / q + k * k) / a0, b1: 2 * (k * k - vh) / a0, b2: (vh - vb * k / q + k * k) / a0,
+    a1: 2 * (k * k - 1) / a0, a2: (1 - k / q + k * k) / a0,
+  };
+  f0 = 38.13547087602444; q = 0.5003270373238773;
+  k = Math.tan(Math.PI * f0 / rate);
+  a0 = 1 + k / q + k * k;
+  const highpass = { a1: 2 * (k * k - 1) / a0, a2: (1 - k / q + k * k) / a0 };
+  return [shelf, highpass];
+}
+
+function toLufs(power) { return -0.691 + 10 * Math.log10(power); }
+
+// Mean-square energy of each 400 ms block (channels summed) and the sample
+// peak of an AudioBuffer: { blocks: Float64Array, peak }
+export function blockEnergies(buffer) {
+  const [s, h] = kWeighting(buffer.sampleRate);
+  const step = Math.round(buffer.sampleRate * STEP_SEC);
+  const steps = new Float64Array(Math.floor(buffer.length / step));
+  let peak = 0;
+
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+    for (let n = 0; n < steps.length; n++) {
+      let sum = 0;
+      for (let i = n * step, end = i + step; i < end; i++) {
+        const x = data[i];
+        const ax = x < 0 ? -x : x;
+        if (ax > peak) peak = ax;
+        const y = s.b0 * x + s.b1 * x1 + s.b2 * x2 - s.a1 * y1 - s.a2 * y2;
+        const z = y - 2 * y1 + y2 - h.a1 * z1 - h.a2 * z2; // high-pass numerator is [1, −2, 1]
+        x2 = x1; x1 = x; y2 = y1; y1 = y; z2 = z1; z1 = z;
+        sum += z * z;
+      }
+      steps[n] += sum / step;
+    }
+  }
+
+  const blocks = new Float64Array(Math.max(0, steps.length - BLOCK_STEPS + 1));
+  for (let b = 0; b < blocks.length; b++) {
+    let e = 0;
+    for (let j = 0; j < BLOCK_STEPS; j++) e += steps[b + j];
+    blocks[b] = e / BLOCK_STEPS;
+  }
+  return { blocks, peak };
+}
+
+// Gated integrated loudness of block energies (one array or several), or
+// null when everything is below the absolute gate (silence)
+export function integrate(...blockLists) {
+  const absolute = 10 ** ((ABS_GATE + 0.691) / 10);
+  let sum = 0, count = 0;
+  for (const list of blockLists) for (const e of list) if (e > absolute) { sum += e; count++; }
+  if (!count) return null;
+  const relative = sum / count * 10 ** (REL_GATE / 10);
+  sum = 0; count = 0;
+  for (const list of blockLists) for (const e of list) if (e > relative && e > absolute) { sum += e; count++; }
+  return toLufs(sum / count);
+}
+
+// { lufs, peak } of a whole AudioBuffer; peak is linear (1 = full scale)
+export function measureLoudness(buffer) {
+  const { blocks, peak } = blockEnergies(buffer);
+  return { lufs: integrate(blocks), peak };
+}
+
+// Energy mean of several loudness values, e.g. a playlist's "album" loudness
+export function meanLoudness(values) {
+  const known = values.filter(v => v != null);
+  if (!known.length) return null;
+  return 10 * Math.log10(known.reduce((a, v) => a + 10 ** (v / 10), 0) / known.length);
+}
@@ -0,0 +1,169 @@
+// WalkPlayer — playlist import/export (M3U8, PLS, JSON backup)
+//
+// Writers take a playlist name and its songs ({ file, title, artist, duration });
+// the parser turns any of the three formats back into named lists of entries
+// ({ path, title, artist, duration }), which matchEntries() maps onto the library.
+
+export const BACKUP_FORMAT  = 'walkplayer-playlists';
+export const BACKUP_VERSION = 1;
+
+const FUZZY_MATCH = 0.85; // bigram similarity needed to accept a title/artist match
+
+function songPath(file) {
+  try { return decodeURIComponent(file); } catch { return file; }
+}
+
+function songLabel(song) {
+  return song.artist && song.artist !== '—' ? `${song.artist} - ${song.title}` : song.title;
+}
+
+// ── Writers ──
+export function toM3U8(name, songs) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  for (const s of songs) {
+    lines.push(`#EXTINF:${s.duration ? Math.round(s.duration) : -1},${songLabel(s)}`);
+    lines.push(songPath(s.file));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function toPLS(name, songs) {
+  const lines = ['[playlist]', `X-Name=${name}`];
+  songs.forEach((s, i) => {
+    lines.push(`File${i + 1}=${songPath(s.file)}`);
+    lines.push(`Title${i + 1}=${songLabel(s)}`);
+    lines.push(`Length${i + 1}=${s.duration ? Math.round(s.duration) : -1}`);
+  });
+  lines.push(`NumberOfEntries=${songs.length}`, 'Version=2');
+  return lines.join('\n') + '\n';
+}
+
+// lists: [{ name, createdAt, songs }]
+export function toBackup(lists) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(),
+    playlists: lists.map(({ name, createdAt, songs }) => ({
+      name, createdAt,
+      songs: songs.map(s => ({ file: s.file, title: s.title, artist: s.artist, duration: s.duration ?? null })),
+    })),
+  }, null, 2);
+}
+
+// ── Parsers ──
+// "Artist - Title" as written by most players; a bare title otherwise
+function splitLabel(label) {
+  const i = label.indexOf(' - ');
+  return i === -1 ? { artist: '', title: label.trim() } : { artist: label.slice(0, i).trim(), title: label.slice(i + 3).trim() };
+}
+
+function parseM3U(text, fallbackName) {
+  let name = fallbackName, info = null;
+  const entries = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (line.startsWith('#PLAYLIST:')) name = line.slice(10).trim() || name;
+    else if (line.startsWith('#EXTINF:')) {
+      const m = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/.exec(line);
+      info = m ? { duration: Number(m[1]) > 0 ? Number(m[1]) : null, ...splitLabel(m[2]) } : null;
+    } else if (!line.startsWith('#')) {
+      entries.push({ path: line, title: '', artist: '', duration: null, ...info });
+      info = null;
+    }
+  }
+  return [{ name, entries }];
+}
+
+function parsePLS(text, fallbackName) {
+  const fields = {};
+  let name = fallbackName;
+  for (const raw of text.split(/\r?\n/)) {
+    const m = /^\s*([A-Za-z-]+?)(\d*)\s*=\s*(.*)$/.exec(raw);
+    if (!m) continue;
+    const [, key, n, value] = m;
+    if (key.toLowerCase() === 'x-name' && value.trim()) name = value.trim();
+    if (!n) continue;
+    (fields[n] ||= {})[key.toLowerCase()] = value.trim();
+  }
+  const entries = Object.keys(fields).sort((a, b) => a - b)
+    .filter(n => fields[n].file)
+    .map(n => {
+      const f = fields[n];
+      return {
+        path: f.file, duration: Number(f.length) > 0 ? Number(f.length) : null,
+        ...(f.title ? splitLabel(f.title) : { title: '', artist: '' }),
+      };
+    });
+  return [{ name, entries }];
+}
+
+function parseBackup(text) {
+  const data = JSON.parse(text);
+  if (data?.format !== BACKUP_FORMAT || !Array.isArray(data.playlists)) throw new Error('Not a WalkPlayer playlist backup.');
+  if (data.version > BACKUP_VERSION) throw new Error(`Backup version ${data.version} is newer than this app supports.`);
+  return data.playlists.map(pl => ({
+    name: String(pl.name || 'Imported'),
+    entries: (pl.songs || []).map(s => ({ path: s.file || '', title: s.title || '', artist: s.artist || '', duration: s.duration ?? null })),
+  }));
+}
+
+// Any supported format, detected from the content rather than the extension.
+// Returns [{ name, entries }].
+export function parsePlaylistFile(text, filename = 'Imported') {
+  const fallbackName = filename.replace(/\.[^.]+$/, '') || 'Imported';
+  const body = text.replace(/^\uFEFF/, '');
+  const start = body.trimStart();
+  if (start.startsWith('{')) return parseBackup(body);
+  if (/^\[playlist\]/i.test(start)) return parsePLS(body, fallbackName);
+  return parseM3U(body, fallbackName);
+}
+
+// ── Matching ──
+function fold(s) {
+  return (s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Last path segment, decoded, without extension; works for "C:\Music\x.mp3" too
+function baseName(path) {
+  return fold(songPath(path).split(/[\\/]/).pop().replace(/\.[^.]+$/, ''));
+}
+
+function bigrams(s) {
+  const out = new Set();
+  for (let i = 0; i < s.length - 1; i++) out.add(s.slice(i, i + 2));
+  return out;
+}
+
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const g of a) if (b.has(g)) shared++;
+  return 2 * shared / (a.size + b.size);
+}
+
+// Maps entries onto library songs: exact path first, then file name, then
+// fuzzy title/artist. Returns [{ entry, song }], song null when nothing fits.
+export function matchEntries(entries, songs) {
+  const byPath = new Map(songs.map(s => [songPath(s.file), s]));
+  const byBase = new Map(songs.map(s => [baseName(s.file), s]));
+  const grams = songs.map(s => [bigrams(fold(`${s.artist} ${s.title}`)), bigrams(fold(s.title)), bigrams(baseName(s.file))]);
+
+  return entries.map(entry => {
+    const direct = byPath.get(songPath(entry.path)) || byBase.get(baseName(entry.path));
+    if (direct) return { entry, song: direct };
+
+    const wanted = [
+      entry.title ? bigrams(fold(entry.artist ? `${entry.artist} ${entry.title}` : entry.title)) : null,
+      bigrams(baseName(entry.path)),
+    ].filter(Boolean);
+    let best = null, bestScore = FUZZY_MATCH;
+    songs.forEach((s, i) => {
+      for (const w of wanted) for (const g of grams[i]) {
+        const score = dice(w, g);
+        if (score > bestScore) { best = s; bestScore = score; }
+      }
+    });
+    return { entry, song: best };
+  });
+}
@@ -0,0 +1,140 @@
+// WalkPlayer — library search
+//
+// Text is folded (lower case, accents dropped) and split into words. A query
+// matches an item when every one of its words matches a word of the item:
+// exactly, as the start of one ("cast" → "Castle"), or within a typo or two
+// ("shivrs" → "Shivers"). Exact ranks above prefix above fuzzy. Query words
+// are compared against the distinct words of the index rather than item by
+// item, so a search stays quick on libraries of thousands of tracks.
+
+const EXACT = 2, PREFIX = 1, FUZZY = 0;
+const KIND_SCORE = [1, 2, 4]; // by kind, times the field's weight
+
+// Letters and digits; an apostrophe inside a word ("Don't") doesn't split it
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// `text` folded, and for each folded char the index in `text` it came from
+// (plus one past the end), so matches can be highlighted in the original
+function foldMapped(text) {
+  text = String(text ?? '');
+  // Plain ASCII folds to itself, char for char
+  if (!/[^\x00-\x7f]/.test(text)) return { folded: text.toLowerCase(), from: null };
+  let folded = '';
+  const from = [];
+  let i = 0;
+  for (const ch of text) {
+    const f = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (let k = 0; k < f.length; k++) from.push(i);
+    folded += f;
+    i += ch.length;
+  }
+  from.push(i);
+  return { folded, from };
+}
+
+function wordsOf(folded) {
+  return [...folded.matchAll(WORD_RE)].map(m => ({ word: m[0].replace(/['’]/g, ''), start: m.index, end: m.index + m[0].length }));
+}
+
+// Typos forgiven in a query word of this length
+function typoBudget(len) { return len >= 8 ? 2 : len >= 4 ? 1 : 0; }
+
+// Edit distance (a swap of neighbours counts as one), or max + 1 once it's
+// clearly more than `max`. It runs for most words of the index on every
+// search, so the three rows it needs are kept between calls.
+let distRows = [new Int32Array(32), new Int32Array(32), new Int32Array(32)];
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (distRows[0].length <= b.length) distRows = distRows.map(() => new Int32Array(b.length * 2 + 1));
+  let [prev2, prev, row] = distRows;
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    row[0] = i;
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row[j] = d;
+      if (d < best) best = d;
+    }
+    if (best > max) return max + 1;
+    [prev2, prev, row] = [prev, row, prev2];
+  }
+  return prev[b.length];
+}
+
+// An index over `items`; `fields` is [{ get: item => text, weight }]
+export function buildSearchIndex(items, fields) {
+  const docs = [];
+  const vocab = new Map(); // word → [[item, field, word index]]
+  items.forEach((item, i) => {
+    docs.push(fields.map((field, f) => {
+      const { folded, from } = foldMapped(field.get(item));
+      const words = wordsOf(folded);
+      words.forEach((w, k) => {
+        if (!vocab.has(w.word)) vocab.set(w.word, []);
+        vocab.get(w.word).push([i, f, k]);
+      });
+      return { from, words };
+    }));
+  });
+  return { items, fields, docs, vocab };
+}
+
+// How well query word `q` matches `word`: EXACT, PREFIX, FUZZY or -1
+function matchKind(q, word) {
+  if (word === q) return EXACT;
+  if (word.startsWith(q)) return PREFIX;
+  const max = typoBudget(q.length);
+  return max && editDistance(q, word, max) <= max ? FUZZY : -1;
+}
+
+// Items matching `query`, best first: [{ item, index, marks }] where marks[f]
+// lists the [start, end) ranges of field f's text that matched (worked out
+// when first read, as only the rows on screen need them). Ties keep index
+// order.
+export function findMatches(index, query) {
+  const terms = [...new Set(wordsOf(foldMapped(query).folded).map(w => w.word))].filter(Boolean);
+  if (!terms.length) return [];
+
+  // Per item: the best kind and score for each term, and every word it hit
+  const found = new Map();
+  terms.forEach((q, t) => {
+    for (const [word, postings] of index.vocab) {
+      const kind = matchKind(q, word);
+      if (kind < 0) continue;
+      for (const [i, f, k] of postings) {
+        let hit = found.get(i);
+        if (!hit) found.set(i, hit = { kinds: new Array(terms.length).fill(-1), scores: new Array(terms.length).fill(0), words: [] });
+        hit.kinds[t] = Math.max(hit.kinds[t], kind);
+        hit.scores[t] = Math.max(hit.scores[t], KIND_SCORE[kind] * (index.fields[f].weight ?? 1));
+        hit.words.push([f, k, kind === PREFIX ? q.length : -1]);
+      }
+    }
+  });
+
+  const results = [];
+  for (const [i, hit] of found) {
+    if (hit.kinds.some(k => k < 0)) continue;
+    results.push({ i, hit, tier: Math.min(...hit.kinds), score: hit.scores.reduce((a, b) => a + b, 0) });
+  }
+  return results
+    .sort((a, b) => b.tier - a.tier || b.score - a.score || a.i - b.i)
+    .map(({ i, hit }) => ({
+      item: index.items[i], index: i,
+      get marks() { return markRanges(index.docs[i], hit.words); },
+    }));
+}
+
+function markRanges(doc, hits) {
+  const marks = doc.map(() => []);
+  for (const [f, k, len] of hits) {
+    const { from, words } = doc[f];
+    const w = words[k];
+    const end = len < 0 ? w.end : Math.min(w.start + len, w.end);
+    marks[f].push(from ? [from[w.start], from[end]] : [w.start, end]);
+  }
+  return marks;
+}
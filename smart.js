@@ -0,0 +1,137 @@
+// WalkPlayer — smart playlists
+//
+// A smart playlist is a definition, not a list of files: rules over each
+// song's tags and facts (play counts, when it was added or last played, which
+// playlists hold it), combined with "all" or "any", then an optional sort and
+// a cap on the length. The songs are worked out afresh every time the
+// playlist is opened or played.
+//
+// A rule is { field, op, value }. Each field has a type, and the type decides
+// the ops and what `value` holds: a number, text (a regex for "matches"), a
+// date as YYYY-MM-DD, or a playlist id.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `facts` is { plays, skips, lastPlayed, addedAt } with times in ms
+// (lastPlayed 0 when never played). Number fields are worked out as floats;
+// `step` is the unit they're shown and compared in (1 when absent). Fields
+// marked `preset` are only used by the presets; the rule editor doesn't offer
+// them.
+export const SMART_FIELDS = {
+  artist:     { label: 'Artist',       type: 'text',     get: s => [s.artist, ...(s.featuring || [])].join(' · ') },
+  title:      { label: 'Title',        type: 'text',     get: s => s.title },
+  duration:   { label: 'Length',       type: 'number',   unit: 'min', get: s => (s.duration > 0 ? s.duration / 60 : NaN) },
+  plays:      { label: 'Plays',        type: 'number',   unit: '', get: (s, f) => f.plays },
+  skips:      { label: 'Skips',        type: 'number',   unit: '', get: (s, f) => f.skips },
+  added:      { label: 'Added',        type: 'date',     get: (s, f) => f.addedAt },
+  playlist:   { label: 'Playlist',     type: 'playlist', get: s => s.file },
+  addedDays:  { label: 'Added',        type: 'number',   unit: 'days ago', preset: true, get: (s, f, now) => (now - f.addedAt) / DAY_MS },
+  playedDays: { label: 'Last played',  type: 'number',   unit: 'days ago', preset: true, get: (s, f, now) => f.lastPlayed ? (now - f.lastPlayed) / DAY_MS : Infinity },
+};
+
+// Ops per field type. `compile(value, ctx, field)` returns the test for one
+// field value, or throws when `value` is unusable (a broken regex). "=" on a
+// number holds when both sides round to the same `step`, so "Length = 4 min"
+// takes 3:30 to 4:29.
+export const SMART_OPS = {
+  gte:      { type: 'number',   label: '≥',          compile: v => a => a >= v },
+  lte:      { type: 'number',   label: '≤',          compile: v => a => a <= v },
+  eq:       { type: 'number',   label: '=',          compile: (v, ctx, { step = 1 }) => { const t = Math.round(v / step); return a => Math.round(a / step) === t; } },
+  contains: { type: 'text',     label: 'contains',   compile: v => { const needle = foldCase(v); return a => foldCase(a).includes(needle); } },
+  matches:  { type: 'text',     label: 'matches',    compile: v => { const re = new RegExp(v, 'iu'); return a => re.test(a || ''); } },
+  after:    { type: 'date',     label: 'after',      compile: v => { const t = dayStart(v) + DAY_MS; return a => a >= t; } },
+  before:   { type: 'date',     label: 'before',     compile: v => { const t = dayStart(v); return a => a < t; } },
+  in:       { type: 'playlist', label: 'is in',      compile: (v, ctx) => { const files = ctx.members(v); return a => files.has(a); } },
+  notIn:    { type: 'playlist', label: 'is not in',  compile: (v, ctx) => { const files = ctx.members(v); return a => !files.has(a); } },
+};
+
+// Case- and accent-insensitive form for "contains"
+function foldCase(s) { return String(s ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase(); }
+
+// Local midnight starting a YYYY-MM-DD day
+function dayStart(ymd) {
+  const [y, m, d] = String(ymd).split('-').map(Number);
+  const t = new Date(y, m - 1, d).getTime();
+  if (!Number.isFinite(t)) throw new Error('Pick a date');
+  return t;
+}
+
+// The ops a field offers, first one the default
+export function opsFor(field) {
+  const type = SMART_FIELDS[field]?.type;
+  return Object.keys(SMART_OPS).filter(op => SMART_OPS[op].type === type);
+}
+
+// A new rule on `field` with a sensible starting value
+export function defaultRule(field, ctx = {}) {
+  const type = SMART_FIELDS[field].type;
+  const value = type === 'number' ? (field === 'duration' ? 5 : 1)
+    : type === 'date' ? new Date(Date.now() - 30 * DAY_MS).toISOString().slice(0, 10)
+    : type === 'playlist' ? ctx.playlistId ?? ''
+    : '';
+  return { field, op: opsFor(field)[0], value };
+}
+
+// Why a rule can't be used, or null when it's fine
+export function ruleError(rule, ctx = { members: () => new Set() }) {
+  try { compileSmartRule(rule, ctx); return null; }
+  catch (e) { return e.message; }
+}
+
+function compileSmartRule(rule, ctx) {
+  const field = SMART_FIELDS[rule.field], op = SMART_OPS[rule.op];
+  if (!field || !op || op.type !== field.type) throw new Error('Unknown rule');
+  const test = op.compile(rule.value, ctx, field);
+  return (song, f, now) => test(field.get(song, f, now));
+}
+
+// Sort keys, highest first when `desc`
+const SORTS = {
+  plays:  (s, f) => f.plays,
+  skips:  (s, f) => f.skips,
+  added:  (s, f) => f.addedAt,
+  played: (s, f) => f.lastPlayed,
+};
+
+// The built-in smart playlists; their rule values and length can be edited
+export const SMART_PRESETS = [
+  {
+    id: 'smart:most-played', name: 'Most Played', icon: '🔥', match: 'all',
+    rules: [{ field: 'plays', op: 'gte', value: 2 }], sort: { field: 'plays', desc: true }, limit: 50,
+  },
+  {
+    id: 'smart:recently-added', name: 'Recently Added', icon: '🆕', match: 'all',
+    rules: [{ field: 'addedDays', op: 'lte', value: 30 }], sort: { field: 'added', desc: true }, limit: 50,
+  },
+  {
+    id: 'smart:never-played', name: 'Never Played', icon: '✨', match: 'all',
+    rules: [{ field: 'plays', op: 'eq', value: 0 }], sort: null, limit: 0,
+  },
+  {
+    id: 'smart:skipped-often', name: 'Skipped Often', icon: '⏭', match: 'all',
+    rules: [{ field: 'skips', op: 'gte', value: 3 }], sort: { field: 'skips', desc: true }, limit: 50,
+  },
+];
+
+export function isSmartId(id) { return typeof id === 'string' && id.startsWith('smart:'); }
+
+// The songs of `def`, in library order unless it sorts; `facts(song)` as
+// above, `ctx.members(playlistId)` the set of files in a playlist. A
+// definition with no rules matches everything; a rule that can't be used
+// (see ruleError) matches nothing.
+export function evaluateSmart(def, songs, facts, ctx = { members: () => new Set() }, now = Date.now()) {
+  const rules = (def.rules || []).map(r => {
+    try { return compileSmartRule(r, ctx); } catch { return () => false; }
+  });
+  const test = def.match === 'any' ? 'some' : 'every';
+  const out = songs
+    .map(song => ({ song, f: facts(song) }))
+    .filter(({ song, f }) => !rules.length || rules[test](r => r(song, f, now)));
+  const key = def.sort && SORTS[def.sort.field];
+  if (key) {
+    const dir = def.sort.desc ? -1 : 1;
+    out.sort((a, b) => dir * (key(a.song, a.f) - key(b.song, b.f))); // stable: ties keep library order
+  }
+  const list = out.map(x => x.song);
+  return def.limit > 0 ? list.slice(0, def.limit) : list;
+}
@@ -0,0 +1,250 @@
+// WalkPlayer — persistent store (IndexedDB)
+//
+// One database holds playlists, play history, the ID3 tag cache, track
+// measurements (loudness, tempo) and when each file was added. The schema
+// grows through MIGRATIONS: entry n upgrades version n to n + 1, and every
+// upgrade runs in order, so an old install catches up step by step.
+// Writes are announced on a BroadcastChannel so other open tabs can reload.
+
+const DB_NAME = 'walkplayer';
+const LEGACY_PLAYLISTS_KEY = 'walkplayer_playlists';
+
+const MIGRATIONS = [
+  // v1: ID3 tag cache
+  db => {
+    db.createObjectStore('tags', { keyPath: 'file' });
+  },
+  // v2: playlists (one-time import from localStorage) and play history
+  (db, tx) => {
+    const playlists = db.createObjectStore('playlists', { keyPath: 'id' });
+    const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+    history.createIndex('file', 'file');
+    history.createIndex('at', 'at');
+
+    let legacy = [];
+    try { legacy = JSON.parse(localStorage.getItem(LEGACY_PLAYLISTS_KEY) || '[]'); } catch {}
+    // Old ids are kept: play modes and the resume checkpoint refer to them
+    legacy.forEach((pl, i) => playlists.put({ ...pl, id: String(pl.id), order: i }));
+    tx.addEventListener('complete', () => localStorage.removeItem(LEGACY_PLAYLISTS_KEY));
+  },
+  // v3: loudness measurements, kept apart from tags so a tag re-read doesn't drop them
+  db => {
+    db.createObjectStore('loudness', { keyPath: 'file' });
+  },
+  // v4: detected track tempos
+  db => {
+    db.createObjectStore('tempo', { keyPath: 'file' });
+  },
+  // v5: when each file first turned up in the library
+  db => {
+    db.createObjectStore('library', { keyPath: 'file' });
+  },
+  // v6: per-file totals of the history entries pruned from the log
+  db => {
+    db.createObjectStore('historyTotals', { keyPath: 'file' });
+  },
+];
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = ev => {
+      for (let v = ev.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+    };
+    req.onsuccess = () => {
+      // Another tab wants a newer schema: step aside so its upgrade can run
+      req.result.onversionchange = () => { req.result.close(); dbPromise = null; };
+      resolve(req.result);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('Close other WalkPlayer tabs to finish updating.'));
+  });
+  return dbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Resolves once the transaction commits, so callers never announce a write that didn't land
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// ── Change broadcast ──
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('walkplayer-store') : null;
+
+function announce(kind, rec) {
+  try { channel?.postMessage({ kind, rec }); } catch {}
+}
+
+// Runs `fn(kind, rec)` when another tab changes the store: 'playlists', or
+// 'history' with the entry it added
+export function onStoreChange(fn) {
+  channel?.addEventListener('message', ev => fn(ev.data?.kind, ev.data?.rec));
+}
+
+// ── Playlists ──
+// Random v4 UUID; randomUUID only exists in secure contexts (not a plain-http LAN address)
+export function newPlaylistId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40; b[8] = (b[8] & 0x3f) | 0x80;
+  const hex = [...b].map(x => x.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+export async function getPlaylists() {
+  const db = await openDb();
+  const all = await idbRequest(db.transaction('playlists').objectStore('playlists').getAll());
+  return all.sort((a, b) => a.order - b.order);
+}
+
+export async function putPlaylists(pls) {
+  const db = await openDb();
+  const tx = db.transaction('playlists', 'readwrite');
+  for (const pl of pls) tx.objectStore('playlists').put(pl);
+  await idbDone(tx);
+  announce('playlists');
+}
+
+// Read-modify-write inside one transaction, so a field another tab changed
+// in the meantime isn't overwritten with a stale copy
+export async function patchPlaylist(id, patch) {
+  const db = await openDb();
+  const tx = db.transaction('playlists', 'readwrite');
+  const store = tx.objectStore('playlists');
+  const req = store.get(id);
+  req.onsuccess = () => { if (req.result) store.put({ ...req.result, ...patch }); };
+  await idbDone(tx);
+  announce('playlists');
+}
+
+export async function removePlaylist(id) {
+  const db = await openDb();
+  const tx = db.transaction('playlists', 'readwrite');
+  tx.objectStore('playlists').delete(id);
+  await idbDone(tx);
+  announce('playlists');
+}
+
+// ── Play history ──
+// The log keeps the latest HISTORY_KEEP entries; older ones are folded into
+// per-file totals as they're pruned, so play and skip counts stay whole.
+const HISTORY_KEEP  = 5000;
+const HISTORY_SLACK = 500; // entries past HISTORY_KEEP before a prune runs
+
+// Adds a log entry to a file's totals { file, plays, skips, lastPlayed }
+export function tallyHistory(totals, rec) {
+  const t = totals || { file: rec.file, plays: 0, skips: 0, lastPlayed: 0 };
+  if (rec.kind === 'skip') t.skips++;
+  else { t.plays++; t.lastPlayed = Math.max(t.lastPlayed, rec.at); }
+  return t;
+}
+
+// rec: { file, at, kind: 'play' | 'skip', ... }; ids are assigned by the store
+export async function addHistory(rec) {
+  const db = await openDb();
+  const tx = db.transaction(['history', 'historyTotals'], 'readwrite');
+  const log = tx.objectStore('history');
+  log.add(rec);
+  const count = log.count();
+  count.onsuccess = () => {
+    if (count.result > HISTORY_KEEP + HISTORY_SLACK) pruneHistory(tx, count.result - HISTORY_KEEP);
+  };
+  await idbDone(tx);
+  announce('history', rec);
+}
+
+// Folds the `n` oldest log entries into the totals and deletes them
+function pruneHistory(tx, n) {
+  const totals = tx.objectStore('historyTotals');
+  const folded = new Map();
+  const cursor = tx.objectStore('history').index('at').openCursor();
+  cursor.onsuccess = () => {
+    const c = cursor.result;
+    if (c && n-- > 0) {
+      folded.set(c.value.file, tallyHistory(folded.get(c.value.file), c.value));
+      c.delete();
+      c.continue();
+      return;
+    }
+    for (const [file, t] of folded) {
+      const req = totals.get(file);
+      req.onsuccess = () => {
+        const old = req.result;
+        totals.put(old ? { file, plays: old.plays + t.plays, skips: old.skips + t.skips, lastPlayed: Math.max(old.lastPlayed, t.lastPlayed) } : t);
+      };
+    }
+  };
+}
+
+// The whole history as { totals, recs }: the totals of pruned entries, and
+// the log, oldest first
+export async function getHistory() {
+  const db = await openDb();
+  const tx = db.transaction(['history', 'historyTotals']);
+  const [totals, recs] = await Promise.all([
+    idbRequest(tx.objectStore('historyTotals').getAll()),
+    idbRequest(tx.objectStore('history').index('at').getAll()),
+  ]);
+  return { totals, recs };
+}
+
+// ── Tag cache ──
+export async function getCachedTags(file) {
+  const db = await openDb();
+  return idbRequest(db.transaction('tags').objectStore('tags').get(file));
+}
+
+export async function putCachedTags(rec) {
+  const db = await openDb();
+  return idbRequest(db.transaction('tags', 'readwrite').objectStore('tags').put(rec));
+}
+
+// ── Loudness ──
+// rec: { file, lufs, peak }
+export async function getAllLoudness() {
+  const db = await openDb();
+  return idbRequest(db.transaction('loudness').objectStore('loudness').getAll());
+}
+
+export async function putLoudness(rec) {
+  const db = await openDb();
+  return idbRequest(db.transaction('loudness', 'readwrite').objectStore('loudness').put(rec));
+}
+
+// ── Tempo ──
+// rec: { file, bpm, confidence }; bpm is null for a track without a pulse
+export async function getAllTempos() {
+  const db = await openDb();
+  return idbRequest(db.transaction('tempo').objectStore('tempo').getAll());
+}
+
+export async function putTempo(rec) {
+  const db = await openDb();
+  return idbRequest(db.transaction('tempo', 'readwrite').objectStore('tempo').put(rec));
+}
+
+// ── Library ──
+// rec: { file, addedAt } (ms timestamp)
+export async function getAllAdded() {
+  const db = await openDb();
+  return idbRequest(db.transaction('library').objectStore('library').getAll());
+}
+
+export async function putAdded(recs) {
+  const db = await openDb();
+  const tx = db.transaction('library', 'readwrite');
+  for (const rec of recs) tx.objectStore('library').put(rec);
+  await idbDone(tx);
+}
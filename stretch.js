@@ -0,0 +1,64 @@
+// WalkPlayer — pitch-preserving time stretch (WSOLA)
+//
+// The output is overlap-added from Hann-windowed grains of the input, one
+// every half grain. Each grain is read from where the speed says it belongs,
+// nudged by up to SEEK_SEC to the spot whose waveform best continues the
+// previous grain, so overlapping grains reinforce rather than cancel.
+
+const GRAIN_SEC = 0.04;
+const SEEK_SEC  = 0.01;
+const COARSE    = 4;  // stride of the rough first search, refined sample by sample
+
+// `input` is one Float32Array per channel; returns `length` samples per
+// channel that play `input` `rate` times as fast at the same pitch
+export function timeStretch(input, sampleRate, rate, length) {
+  const n = 2 * Math.round(GRAIN_SEC * sampleRate / 2);
+  const hop = n / 2;
+  const seek = Math.round(SEEK_SEC * sampleRate);
+  const inLen = input[0].length;
+  // Periodic Hann: grains half a grain apart sum to one
+  const window = Float32Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n));
+
+  // The search runs on a mono mix; every channel takes the same grain
+  const guide = new Float32Array(inLen);
+  for (const ch of input) for (let i = 0; i < inLen; i++) guide[i] += ch[i];
+
+  const out = input.map(() => new Float32Array(length));
+  const weight = new Float32Array(length);
+  let prev = 0;
+  for (let at = 0; at < length; at += hop) {
+    const pos = at === 0 ? 0 : bestMatch(guide, prev + hop, Math.round(at * rate), seek, hop);
+    const end = Math.min(n, length - at, inLen - pos);
+    input.forEach((ch, c) => {
+      const dst = out[c];
+      for (let i = 0; i < end; i++) dst[at + i] += ch[pos + i] * window[i];
+    });
+    for (let i = 0; i < Math.min(n, length - at); i++) weight[at + i] += window[i];
+    prev = pos;
+  }
+  for (const ch of out) for (let i = 0; i < length; i++) if (weight[i] > 1e-3) ch[i] /= weight[i];
+  return out;
+}
+
+// Start near `nominal` whose next `len` samples best match those at `target`
+function bestMatch(x, target, nominal, seek, len) {
+  const lo = Math.max(0, nominal - seek), hi = Math.max(lo, Math.min(x.length - 1, nominal + seek));
+  let best = Math.min(nominal, hi), bestScore = -Infinity;
+  for (let c = lo; c <= hi; c += COARSE) {
+    const s = correlate(x, target, c, len, COARSE);
+    if (s > bestScore) { bestScore = s; best = c; }
+  }
+  const coarse = best;
+  for (let c = Math.max(lo, coarse - COARSE + 1); c <= Math.min(hi, coarse + COARSE - 1); c++) {
+    const s = correlate(x, target, c, len, 1);
+    if (s > bestScore) { bestScore = s; best = c; }
+  }
+  return best;
+}
+
+function correlate(x, a, b, len, step) {
+  const end = Math.min(len, x.length - a, x.length - b);
+  let sum = 0;
+  for (let i = 0; i < end; i += step) sum += x[a + i] * x[b + i];
+  return sum;
+}
@@ -1,12 +1,30 @@
 // Basic "app shell" service worker for PWA installability.
-// Note: Caching large audio files can be expensive; we cache only the UI assets by default.
+// Audio is only cached on request ("Download for offline"), in its own cache
+// that survives app updates; see the offline downloads section below.
 
-const CACHE_NAME = "walkplayer-v6";
+const CACHE_NAME = "walkplayer-v25";
+const AUDIO_CACHE = "walkplayer-audio-v1";
+const QUOTA_HEADROOM = 0.9;            // never fill more than 90% of the quota
+const UNKNOWN_SIZE = 8 * 1024 * 1024;  // assumed size when a response has no Content-Length
 const APP_SHELL = [
   "./",
   "./index.html",
   "./styles.css",
   "./app.js",
+  "./id3.js",
+  "./titles.js",
+  "./dupes.js",
+  "./playlistio.js",
+  "./store.js",
+  "./chunks.js",
+  "./eq.js",
+  "./loudness.js",
+  "./stretch.js",
+  "./tempo.js",
+  "./smart.js",
+  "./library.js",
+  "./search.js",
+  "./vlist.js",
   "./manifest.json",
   "./icons/icon-192.png",
   "./icons/icon-512.png",
@@ -23,7 +41,7 @@ self.addEventListener("install", (event) => {
 self.addEventListener("activate", (event) => {
   event.waitUntil(
     caches.keys().then((keys) =>
-      Promise.all(keys.map((k) => (k === CACHE_NAME ? null : caches.delete(k))))
+      Promise.all(keys.map((k) => (k === CACHE_NAME || k === AUDIO_CACHE ? null : caches.delete(k))))
     )
   );
   self.clients.claim();
@@ -36,18 +54,134 @@ self.addEventListener("fetch", (event) => {
   // Only handle same-origin
   if (url.origin !== self.location.origin) return;
 
-  // Network-first for audio (so you can update songs without fighting cache),
-  // cache-first for app shell.
+  // Downloaded songs come from the audio cache (Range requests included, for
+  // the tag reader); everything else under /songs/ is network-first.
   const isSong = url.pathname.startsWith("/songs/");
 
   if (isSong) {
-    event.respondWith(
-      fetch(req).catch(() => caches.match(req))
-    );
+    event.respondWith(songResponse(req));
     return;
   }
 
   event.respondWith(
     caches.match(req).then((cached) => cached || fetch(req))
   );
-});
\ No newline at end of file
+});
+
+// ── Offline downloads ──
+async function songResponse(req) {
+  const audio = await caches.open(AUDIO_CACHE);
+  const cached = await audio.match(req.url, { ignoreMethod: true });
+  if (cached && req.method === "GET") {
+    const range = req.headers.get("Range");
+    return range ? rangeResponse(cached, range) : cached;
+  }
+  try {
+    return await fetch(req);
+  } catch (e) {
+    const fallback = cached || (await caches.match(req));
+    if (fallback) return fallback;
+    throw e;
+  }
+}
+
+// 206 slice of a cached full response
+async function rangeResponse(cached, range) {
+  const blob = await cached.blob();
+  const size = blob.size;
+  const m = /bytes=(\d*)-(\d*)/.exec(range);
+  let start = 0, end = size - 1;
+  if (m && m[1] === "") start = Math.max(0, size - Number(m[2]));
+  else if (m) { start = Number(m[1]); if (m[2]) end = Math.min(Number(m[2]), size - 1); }
+  if (start >= size) {
+    return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": cached.headers.get("Content-Type") || "audio/mpeg",
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Content-Length": String(end - start + 1),
+    },
+  });
+}
+
+async function broadcast(msg) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach((c) => c.postMessage(msg));
+}
+
+async function cachedFiles() {
+  const audio = await caches.open(AUDIO_CACHE);
+  return (await audio.keys()).map((r) => r.url);
+}
+
+// Frees room for `bytes` more by deleting cached songs outside `keep`, oldest
+// first. Returns false when even that isn't enough.
+async function ensureSpace(bytes, keep) {
+  if (!self.navigator.storage?.estimate) return true;
+  const audio = await caches.open(AUDIO_CACHE);
+  for (;;) {
+    const { usage = 0, quota = 0 } = await self.navigator.storage.estimate();
+    if (!quota || usage + bytes < quota * QUOTA_HEADROOM) return true;
+    const victim = (await audio.keys()).find((r) => !keep.has(r.url));
+    if (!victim) return false;
+    await audio.delete(victim);
+  }
+}
+
+async function evict(keep) {
+  const audio = await caches.open(AUDIO_CACHE);
+  for (const r of await audio.keys()) if (!keep.has(r.url)) await audio.delete(r);
+}
+
+// Downloads `files` (absolute URLs) for playlist `id`, one at a time, posting
+// progress to every open window. `keep` lists every file some offline
+// playlist still needs; only files outside it may be evicted for space.
+async function download(id, files, keep) {
+  const audio = await caches.open(AUDIO_CACHE);
+  const keepSet = new Set(keep);
+  const total = files.length;
+  let done = 0, failed = 0, error = null;
+
+  for (const file of files) {
+    if (await audio.match(file)) { done++; await broadcast({ type: "download-progress", id, done, failed, total, file, ok: true }); continue; }
+    let ok = false;
+    try {
+      const res = await fetch(file, { cache: "no-store" });
+      if (res.status !== 200) throw new Error(`HTTP ${res.status}`);
+      const size = Number(res.headers.get("Content-Length")) || UNKNOWN_SIZE;
+      if (!(await ensureSpace(size, keepSet))) { error = "Not enough storage for the rest of this playlist."; break; }
+      await audio.put(file, res);
+      ok = true;
+    } catch (e) {
+      if (e.name === "QuotaExceededError") { error = "Not enough storage for the rest of this playlist."; break; }
+    }
+    if (ok) done++; else failed++;
+    await broadcast({ type: "download-progress", id, done, failed, total, file, ok });
+  }
+  await broadcast({ type: "download-done", id, done, failed, total, error });
+  await broadcast({ type: "offline-files", files: await cachedFiles() });
+}
+
+// Downloads run one playlist after another. `activeDownloads` holds the
+// playlists queued or running here, so a page can tell a download that died
+// with an earlier worker from one that's still going.
+let downloadChain = Promise.resolve();
+const activeDownloads = new Set();
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "download") {
+    activeDownloads.add(msg.id);
+    downloadChain = downloadChain
+      .then(() => download(msg.id, msg.files, msg.keep))
+      .catch(() => {})
+      .then(() => activeDownloads.delete(msg.id));
+    event.waitUntil(downloadChain);
+  } else if (msg.type === "evict") {
+    event.waitUntil(evict(new Set(msg.keep)).then(async () => broadcast({ type: "offline-files", files: await cachedFiles() })));
+  } else if (msg.type === "offline-status") {
+    event.waitUntil(cachedFiles().then((files) => event.source?.postMessage({ type: "offline-files", files, downloading: [...activeDownloads] })));
+  }
+});
@@ -0,0 +1,141 @@
+// WalkPlayer — track tempo and walking cadence
+//
+// A track's tempo is the strongest period in its onset envelope (where the
+// energy jumps); walking cadence the strongest period in accelerometer
+// magnitude. Both are autocorrelation peaks. Everything here takes plain
+// buffers and sample arrays, so recorded sensor data can be replayed.
+
+const ENVELOPE_RATE  = 200; // onset envelope frames per second
+const BPM_MIN        = 60;
+const BPM_MAX        = 200;
+const MOTION_RATE    = 50;  // accelerometer samples resampled to this many per second
+const MIN_MOTION     = 0.4; // m/s² RMS; less is standing still
+const TAP_GAP_MS     = 2000;
+
+export const BPM_WINDOW_SEC    = 60;   // analyzed from the middle of a track
+export const CADENCE_MIN       = 60;   // steps per minute
+export const CADENCE_MAX       = 200;
+export const CADENCE_WINDOW_MS = 8000; // accelerometer history used per estimate
+
+// Autocorrelation of `x` at lag 0 and from minLag − 1 to maxLag + 1
+function autocorrelation(x, minLag, maxLag) {
+  const ac = new Float64Array(maxLag + 2);
+  for (let lag = 0; lag <= maxLag + 1; lag++) {
+    if (lag && lag < minLag - 1) continue;
+    let sum = 0;
+    for (let i = lag; i < x.length; i++) sum += x[i] * x[i - lag];
+    ac[lag] = sum;
+  }
+  return ac;
+}
+
+// Local maxima of `ac` between minLag and maxLag
+function peaks(ac, minLag, maxLag) {
+  const out = [];
+  for (let lag = minLag; lag <= maxLag; lag++) if (ac[lag] > 0 && ac[lag] >= ac[lag - 1] && ac[lag] >= ac[lag + 1]) out.push(lag);
+  return out;
+}
+
+// Sub-frame position of the peak at `lag`, from a parabola through its neighbours
+function refine(ac, lag) {
+  const a = ac[lag - 1], b = ac[lag], c = ac[lag + 1];
+  const d = a - 2 * b + c;
+  return d < 0 ? lag + 0.5 * (a - c) / d : lag;
+}
+
+// { bpm, confidence } of an AudioBuffer, or null when it has no pulse to speak of
+export function detectBpm(buffer) {
+  const sr = buffer.sampleRate;
+  const hop = Math.max(1, Math.round(sr / ENVELOPE_RATE));
+  const rate = sr / hop;
+  const span = Math.min(buffer.length, Math.round(BPM_WINDOW_SEC * sr));
+  const start = (buffer.length - span) >> 1;
+  const frames = Math.floor(span / hop);
+  const minLag = Math.floor(60 * rate / BPM_MAX), maxLag = Math.ceil(60 * rate / BPM_MIN);
+  if (frames < 2 * maxLag) return null;
+
+  // Log energy per frame, then how much it rises: an onset envelope
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const energy = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let e = 0;
+    for (const ch of channels) for (let i = start + f * hop, end = i + hop; i < end; i++) e += ch[i] * ch[i];
+    energy[f] = Math.log1p(1000 * e / hop);
+  }
+  const onset = new Float32Array(frames);
+  let mean = 0;
+  for (let f = 1; f < frames; f++) { onset[f] = Math.max(0, energy[f] - energy[f - 1]); mean += onset[f] / frames; }
+  for (let f = 0; f < frames; f++) onset[f] -= mean;
+
+  const ac = autocorrelation(onset, minLag, maxLag);
+  if (!(ac[0] > 0)) return null;
+  // Half and double time correlate too; lean towards 120 BPM to pick between
+  // them the way most listeners would
+  let best = -1, bestScore = 0;
+  for (const lag of peaks(ac, minLag, maxLag)) {
+    const score = ac[lag] * Math.exp(-0.5 * (Math.log2(60 * rate / lag / 120) / 0.9) ** 2);
+    if (score > bestScore) { bestScore = score; best = lag; }
+  }
+  if (best < 0) return null;
+  return { bpm: 60 * rate / refine(ac, best), confidence: ac[best] / ac[0] };
+}
+
+// { spm, confidence } from accelerometer samples [{ t (ms), x, y, z }]
+// spanning up to CADENCE_WINDOW_MS, or null without a steady rhythm
+// (standing still, the phone being handled)
+export function stepCadence(samples) {
+  if (samples.length < 2) return null;
+  const t0 = samples[0].t, t1 = samples[samples.length - 1].t;
+  if (t1 - t0 < CADENCE_WINDOW_MS / 2) return null;
+
+  // Magnitude, so it doesn't matter how the phone sits in a pocket, resampled evenly
+  const mags = samples.map(s => Math.hypot(s.x, s.y, s.z));
+  const n = Math.floor((t1 - t0) / 1000 * MOTION_RATE);
+  const x = new Float32Array(n);
+  let j = 0, mean = 0;
+  for (let i = 0; i < n; i++) {
+    const t = t0 + i * 1000 / MOTION_RATE;
+    while (j < samples.length - 2 && samples[j + 1].t <= t) j++;
+    const a = samples[j].t, b = samples[j + 1].t;
+    const u = b > a ? Math.min(1, Math.max(0, (t - a) / (b - a))) : 0;
+    x[i] = mags[j] + (mags[j + 1] - mags[j]) * u;
+    mean += x[i] / n;
+  }
+  // Gravity out, then a light smoothing of sensor jitter
+  let power = 0;
+  for (let i = 0; i < n; i++) x[i] -= mean;
+  for (let i = n - 1; i >= 2; i--) { x[i] = (x[i] + x[i - 1] + x[i - 2]) / 3; power += x[i] * x[i] / n; }
+  if (Math.sqrt(power) < MIN_MOTION) return null;
+
+  const minLag = Math.floor(60 * MOTION_RATE / CADENCE_MAX), maxLag = Math.ceil(60 * MOTION_RATE / CADENCE_MIN);
+  if (n < 2 * maxLag) return null;
+  const ac = autocorrelation(x, minLag, maxLag);
+  const found = peaks(ac, minLag, maxLag);
+  if (!found.length) return null;
+  // Left and right steps differ, so a stride (two steps) can correlate better
+  // than one step: when the best period has a fair peak at half of it, that's the step
+  let lag = found.reduce((a, b) => (ac[b] > ac[a] ? b : a));
+  const half = found.find(l => Math.abs(l - lag / 2) <= lag * 0.1 && ac[l] >= 0.5 * ac[lag]);
+  if (half) lag = half;
+  const confidence = ac[lag] / ac[0];
+  if (confidence < 0.25) return null;
+  return { spm: 60 * MOTION_RATE / refine(ac, lag), confidence };
+}
+
+// Taps per minute from tap times (ms), over the taps since the last pause;
+// null until there are four
+export function tapTempo(times) {
+  let from = times.length - 1;
+  while (from > 0 && times[from] - times[from - 1] <= TAP_GAP_MS) from--;
+  const taps = times.slice(from);
+  if (taps.length < 4) return null;
+  const gaps = taps.slice(1).map((t, i) => t - taps[i]).sort((a, b) => a - b);
+  return 60000 / gaps[gaps.length >> 1];
+}
+
+// How far a tempo is from a cadence, in octaves. Half and double time count
+// as a match: a 70 BPM song walks fine at 140 steps a minute.
+export function tempoDistance(bpm, spm) {
+  if (!bpm || !spm) return Infinity;
+  return Math.min(...[0.5, 1, 2].map(k => Math.abs(Math.log2(bpm * k / spm))));
+}
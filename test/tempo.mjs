@@ -0,0 +1,84 @@
+// WalkPlayer — tempo and cadence checks
+//
+// Replays the sample data in fixtures/ through tempo.js and checks the
+// estimates against the known tempo or step rate. Plain Node, nothing to
+// install:  node test/tempo.mjs
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CADENCE_WINDOW_MS, detectBpm, stepCadence, tapTempo, tempoDistance } from '../tempo.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8'));
+const BPM_TOLERANCE = 2;
+const SPM_TOLERANCE = 4;
+
+let failed = 0;
+function check(name, fn) {
+  try { fn(); console.log(`ok   ${name}`); }
+  catch (e) { failed++; console.log(`FAIL ${name}\n     ${e.message}`); }
+}
+
+// A mono AudioBuffer stand-in whose energy per envelope frame matches the
+// recorded levels, which is all detectBpm reads from it
+function envelopeBuffer({ rate }, levels) {
+  const hop = 8;
+  const data = new Float32Array(levels.length * hop);
+  levels.forEach((level, f) => data.fill(Math.sqrt(Math.expm1(level / 100) / 1000), f * hop, (f + 1) * hop));
+  return { sampleRate: rate * hop, length: data.length, numberOfChannels: 1, getChannelData: () => data };
+}
+
+// Estimates over a trace the way walk mode makes them: the last
+// CADENCE_WINDOW_MS of samples, once a second
+function cadences(samples) {
+  const out = [];
+  for (let end = samples[0].t + CADENCE_WINDOW_MS; end <= samples[samples.length - 1].t; end += 1000) {
+    out.push(stepCadence(samples.filter(s => s.t > end - CADENCE_WINDOW_MS && s.t <= end))?.spm ?? null);
+  }
+  return out;
+}
+
+const median = xs => [...xs].sort((a, b) => a - b)[xs.length >> 1];
+
+const envelopes = fixture('envelopes.json');
+for (const track of envelopes.tracks) {
+  check(`detectBpm: ${track.file} is ${track.bpm} BPM`, () => {
+    const found = detectBpm(envelopeBuffer(envelopes, track.levels));
+    assert.ok(found, 'no tempo found');
+    assert.ok(Math.abs(found.bpm - track.bpm) <= BPM_TOLERANCE, `got ${found.bpm.toFixed(1)} BPM`);
+  });
+}
+
+check('detectBpm: silence has no tempo', () => {
+  assert.equal(detectBpm(envelopeBuffer(envelopes, new Array(6000).fill(0))), null);
+});
+
+for (const trace of fixture('motion.json').traces) {
+  check(`stepCadence: ${trace.name}${trace.spm ? ` at ${trace.spm} steps/min` : ''}`, () => {
+    const found = cadences(trace.samples);
+    if (trace.spm == null) {
+      assert.ok(found.every(spm => spm == null), `got ${found.filter(Boolean).map(Math.round).join(', ')} steps/min`);
+      return;
+    }
+    assert.ok(found.every(spm => spm != null), 'lost the rhythm in some windows');
+    const spm = median(found);
+    assert.ok(Math.abs(spm - trace.spm) <= SPM_TOLERANCE, `got ${spm.toFixed(1)} steps/min`);
+  });
+}
+
+check('tapTempo: steady taps, after a pause', () => {
+  assert.equal(tapTempo([0, 500, 1000]), null);
+  assert.equal(tapTempo([0, 500, 1000, 1500]), 120);
+  assert.equal(tapTempo([0, 400, 5000, 5500, 6000, 6500, 7000]), 120);
+});
+
+check('tempoDistance: half and double time match', () => {
+  assert.equal(tempoDistance(70, 140), 0);
+  assert.equal(tempoDistance(240, 120), 0);
+  assert.ok(Math.abs(tempoDistance(126, 112) - Math.log2(126 / 112)) < 1e-9);
+  assert.equal(tempoDistance(null, 120), Infinity);
+});
+
+if (failed) {
+  console.log(`\n${failed} check(s) failed`);
+  process.exit(1);
+}
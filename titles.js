@@ -0,0 +1,110 @@
+// WalkPlayer — filename cleanup rules for YouTube-rip style song names
+//
+// Turns "Castle On The Hill - Ed Sheeran (Lyrics) 🎵.mp3" into
+// { artist: 'Ed Sheeran', title: 'Castle On The Hill', featuring: [] }.
+// Noise rules are plain regex replacements; built-ins can be switched off and
+// users can add their own, which run after the built-ins.
+
+export const BUILTIN_RULES = [
+  {
+    id: 'lyrics', label: '(Lyrics), (Lyric Video)',
+    pattern: String.raw`\s*[(\[]\s*(?:official\s+)?lyrics?(?:\s+video)?\s*[)\]]`, flags: 'gi', replace: '',
+  },
+  {
+    id: 'official', label: '[Official Audio], [Official Lyric Video]…',
+    pattern: String.raw`\s*[(\[]\s*official(?:\s+(?:music|lyric|hd))?\s+(?:audio|video|visuali[sz]er)\s*[)\]]`, flags: 'gi', replace: '',
+  },
+  {
+    id: 'hd-lyrics', label: '- HD LYRICS',
+    pattern: String.raw`\s*-?\s*\bHD\s+LYRICS\b`, flags: 'gi', replace: '',
+  },
+  {
+    id: 'dash-lyrics', label: '- Lyrics, trailing "lyrics"',
+    pattern: String.raw`(?:\s*-\s*|\s+)lyrics\b(?=\s*(?:[(\[]|$))`, flags: 'gi', replace: '',
+  },
+  {
+    id: 'new-song', label: '(New Song 2014)',
+    pattern: String.raw`\s*[(\[]\s*new\s+song(?:\s+\d{4})?\s*[)\]]`, flags: 'gi', replace: '',
+  },
+  {
+    id: 'emoji', label: 'Emoji',
+    pattern: String.raw`[\p{Extended_Pictographic}\uFE0F]`, flags: 'gu', replace: '',
+  },
+];
+
+const FEAT_RE  = /\s*[(\[]?\s*\b(?:feat\.?|ft\.?|featuring)\s+([^)\]]+?)\s*[)\]]?\s*$/i;
+const DASH_RE  = /\s+-\s*|\s*-\s+/;
+const COLON_RE = /:\s+/;
+
+// Compiles a rule to a RegExp; throws with a readable message on bad patterns
+export function compileRule(rule) {
+  const flags = rule.flags ?? 'gi';
+  return new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g');
+}
+
+// Applies active rules to a bare name (extension already removed)
+function applyRules(name, rules) {
+  let out = name;
+  for (const { re, replace } of rules) out = out.replace(re, replace ?? '');
+  return out.replace(/\s{2,}/g, ' ').replace(/^[\s\-:]+|[\s\-:]+$/g, '');
+}
+
+// Fullwidth punctuation ("？", "：") and dash variants folded to ASCII
+function normalizeName(name) {
+  return name.normalize('NFKC').replace(/[\u2010-\u2015\u2212]/g, '-');
+}
+
+// "Title feat. X & Y" → ['Title', ['X', 'Y']]
+function splitFeaturing(text) {
+  const m = FEAT_RE.exec(text);
+  if (!m || m.index === 0) return [text, []];
+  const names = m[1].split(/\s*(?:,|&|\band\b|\bx\b)\s*/i).filter(Boolean);
+  return [text.slice(0, m.index).trim(), names];
+}
+
+// Active rule list: built-ins minus the disabled ones, then user rules.
+// Invalid user patterns are skipped here; the rules editor reports them.
+export function activeRules({ disabled = [], userRules = [] } = {}) {
+  const rules = [];
+  for (const r of BUILTIN_RULES) if (!disabled.includes(r.id)) rules.push({ re: compileRule(r), replace: r.replace });
+  for (const r of userRules) {
+    if (r.enabled === false) continue;
+    try { rules.push({ re: compileRule(r), replace: r.replace }); } catch {}
+  }
+  return rules;
+}
+
+// Cleans a whole library of filenames at once. Whether "A - B" means
+// artist-first or title-first is decided by which side shows up more often
+// across the library as the left-hand part, i.e. looks like a known artist.
+export function cleanTitles(filenames, options = {}) {
+  const rules = activeRules(options);
+
+  const parsed = filenames.map(filename => {
+    const name = applyRules(normalizeName(filename.replace(/\.mp3$/i, '')), rules);
+    const m = DASH_RE.exec(name) || COLON_RE.exec(name);
+    if (!m) return { left: null, right: name };
+    return { left: name.slice(0, m.index).trim(), right: name.slice(m.index + m[0].length).trim() };
+  });
+
+  const leftCounts = new Map();
+  for (const { left } of parsed) {
+    if (!left) continue;
+    const key = splitFeaturing(left)[0].toLowerCase();
+    leftCounts.set(key, (leftCounts.get(key) || 0) + 1);
+  }
+  const count = s => leftCounts.get(splitFeaturing(s)[0].toLowerCase()) || 0;
+
+  return parsed.map(({ left, right }) => {
+    if (!left || !right) return { artist: '—', ...titleAndFeaturing(right || left) };
+    const swap = count(right) > count(left);
+    const [artist, featArtist] = splitFeaturing(swap ? right : left);
+    const { title, featuring } = titleAndFeaturing(swap ? left : right);
+    return { artist, title, featuring: [...featArtist, ...featuring] };
+  });
+}
+
+function titleAndFeaturing(text) {
+  const [title, featuring] = splitFeaturing(text);
+  return { title: title || text, featuring };
+}
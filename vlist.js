@@ -0,0 +1,188 @@
+// WalkPlayer — virtualized lists
+//
+// Only the rows in (and just around) view are in the DOM; the list is padded
+// above and below to the height of the rest, so the scrollbar stays true.
+// Row heights are measured as rows are drawn and estimated from those until
+// then. A row stays in place while its key and item stay the same, even when
+// it moves to another index, so scrolling or filtering only builds the rows
+// coming into view. Taps are handled by one listener on the list.
+
+const OVERSCAN = 8;       // rows drawn beyond each edge of the view
+const EST_ROW_PX = 62;    // assumed row height before any is measured
+
+export class VirtualList {
+  // `render(li, item, index)` fills a fresh <li>; `reindex(li, item, index)`
+  // updates a kept row that moved, for rows that show their position;
+  // `onClick(item, index, ev)` gets taps on rows; `key(item, index)`
+  // identifies a row across updates (the index by default). `scroller` is
+  // the element that scrolls, the list itself unless given.
+  constructor(listEl, { render, reindex = null, onClick = null, key = (item, i) => i, scroller = listEl }) {
+    this.el = listEl;
+    this.scroller = scroller;
+    this.renderRow = render;
+    this.reindexRow = reindex;
+    this.keyOf = key;
+    this.items = [];
+    this.empty = '';
+    this.active = -1;
+    this.rows = new Map();    // key → { li, item, index }
+    this.heights = new Map(); // key → measured height, gap included
+    this.measured = { sum: 0, count: 0 };
+    this.frame = 0;
+    this.held = false;
+
+    if (onClick) {
+      listEl.addEventListener('click', ev => {
+        const li = ev.target.closest('li[data-vindex]');
+        if (!li || li.parentNode !== listEl) return;
+        const i = Number(li.dataset.vindex);
+        if (i < this.items.length) onClick(this.items[i], i, ev);
+      });
+    }
+    scroller.addEventListener('scroll', () => this.schedule(), { passive: true });
+    // A list laid out while hidden (a closed modal) is drawn again once it shows
+    if (typeof ResizeObserver !== 'undefined') new ResizeObserver(() => this.schedule()).observe(scroller);
+  }
+
+  // Shows `items`, keeping the rows that haven't changed; `empty` is the HTML
+  // shown when there are none, `refresh` redraws every row
+  setItems(items, { empty = '', refresh = false } = {}) {
+    this.items = items;
+    this.empty = empty;
+    if (refresh) this.rows.clear();
+    this.draw();
+  }
+
+  // Highlights the row at `index` (−1 for none), drawn now or later
+  setActive(index) {
+    if (index === this.active) return;
+    this.rowAt(this.active)?.classList.remove('active');
+    this.active = index;
+    this.rowAt(index)?.classList.add('active');
+  }
+
+  // Redraws the row at `index`, or every row in view
+  refresh(index) {
+    if (index == null) this.rows.clear();
+    else if (index >= 0 && index < this.items.length) this.rows.delete(this.keyOf(this.items[index], index));
+    this.draw();
+  }
+
+  // The <li> at `index` when it's drawn
+  rowAt(index) {
+    if (!(index >= 0 && index < this.items.length)) return null;
+    const row = this.rows.get(this.keyOf(this.items[index], index));
+    return row?.index === index ? row.li : null;
+  }
+
+  // Scrolls so the row at `index` shows: only as far as needed ('nearest'),
+  // or to the middle ('center')
+  scrollToIndex(index, { block = 'nearest', behavior = 'auto' } = {}) {
+    if (!(index >= 0 && index < this.items.length)) return;
+    const tops = this.offsets();
+    const top = this.listTop() + tops[index];
+    const height = tops[index + 1] - tops[index];
+    const view = this.scroller.scrollTop, span = this.scroller.clientHeight;
+    let target = null;
+    if (block === 'center') target = top - (span - height) / 2;
+    else if (top < view) target = top;
+    else if (top + height > view + span) target = top + height - span;
+    if (target == null) return;
+    this.scroller.scrollTo({ top: Math.max(0, target), behavior });
+    this.draw();
+  }
+
+  // Stops drawing until release(), so the rows stay put while one is dragged
+  hold() { this.held = true; }
+  release() { this.held = false; this.draw(); }
+
+  schedule() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => { this.frame = 0; this.draw(); });
+  }
+
+  estimate() { return this.measured.count ? this.measured.sum / this.measured.count : EST_ROW_PX; }
+
+  // Top of each row within the list, plus the end of the last
+  offsets() {
+    const est = this.estimate();
+    const tops = new Float64Array(this.items.length + 1);
+    for (let i = 0; i < this.items.length; i++) tops[i + 1] = tops[i] + (this.heights.get(this.keyOf(this.items[i], i)) ?? est);
+    return tops;
+  }
+
+  // Where the list starts within the scroller's content
+  listTop() {
+    if (this.scroller === this.el) return 0;
+    return this.el.getBoundingClientRect().top - this.scroller.getBoundingClientRect().top + this.scroller.scrollTop;
+  }
+
+  draw() {
+    if (this.held) return;
+    const { el, items } = this;
+    if (!items.length) {
+      this.rows.clear();
+      el.style.paddingTop = el.style.paddingBottom = '';
+      el.innerHTML = this.empty;
+      return;
+    }
+
+    // Rows overlapping the view, plus some either side
+    const tops = this.offsets();
+    const view = this.scroller.scrollTop - this.listTop();
+    const span = this.scroller.clientHeight || OVERSCAN * this.estimate();
+    let first = 0;
+    while (first < items.length - 1 && tops[first + 1] <= view) first++;
+    let last = first;
+    while (last < items.length && tops[last] < view + span) last++;
+    first = Math.max(0, first - OVERSCAN);
+    last = Math.min(items.length, last + OVERSCAN);
+
+    // Reuse rows whose key and item still match; build the rest
+    const rows = new Map();
+    const wanted = [];
+    for (let i = first; i < last; i++) {
+      const item = items[i], key = this.keyOf(item, i);
+      let row = this.rows.get(key);
+      if (!row || row.item !== item) {
+        const li = document.createElement('li');
+        this.renderRow(li, item, i);
+        li.dataset.vindex = String(i);
+        row = { li, item, index: i };
+      } else if (row.index !== i) {
+        row.index = i;
+        row.li.dataset.vindex = String(i);
+        this.reindexRow?.(row.li, item, i);
+      }
+      row.li.classList.toggle('active', i === this.active);
+      rows.set(key, row);
+      wanted.push(row.li);
+    }
+    this.rows = rows;
+
+    // Put them in order, moving as few nodes as possible
+    let cursor = el.firstChild;
+    for (const li of wanted) {
+      if (li === cursor) cursor = cursor.nextSibling;
+      else el.insertBefore(li, cursor);
+    }
+    while (cursor) { const next = cursor.nextSibling; cursor.remove(); cursor = next; }
+
+    el.style.paddingTop = `${tops[first]}px`;
+    el.style.paddingBottom = `${tops[items.length] - tops[last]}px`;
+
+    // Measure what was drawn; when that changes the layout, draw again
+    const gap = parseFloat(getComputedStyle(el).rowGap) || 0;
+    let changed = false;
+    for (const [key, row] of rows) {
+      const h = row.li.offsetHeight;
+      if (!h) continue;
+      const old = this.heights.get(key);
+      if (old === h + gap) continue;
+      if (old == null) { this.measured.sum += h + gap; this.measured.count++; }
+      this.heights.set(key, h + gap);
+      changed = true;
+    }
+    if (changed) this.schedule();
+  }
+}